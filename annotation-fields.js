@@ -0,0 +1,25 @@
+// GitHub PR Contributor Sorter - PR Annotations
+// Shared by the content script and options page.
+// Each PR row gets a compact line of details below its title. Every field can
+// be turned off on the options page, stored as `annotationFields`:
+// { history: true, age: true, diff: false, ... }
+
+const ANNOTATION_FIELDS = {
+  history: 'Merged PRs by the author (requires a token)',
+  age: 'Age',
+  diff: 'Diff size (+/-)',
+  files: 'Files changed',
+  review: 'Review decision (requires a token)',
+  ci: 'CI status (requires a token)'
+};
+
+// Every field is shown unless it has been turned off
+function resolveAnnotationFields(stored) {
+  const fields = {};
+  
+  Object.keys(ANNOTATION_FIELDS).forEach(key => {
+    fields[key] = !(stored && stored[key] === false);
+  });
+  
+  return fields;
+}
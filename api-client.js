@@ -0,0 +1,1384 @@
+// GitHub PR Contributor Sorter - GitHub API Client
+// Loaded by the background service worker. Content scripts in every tab ask
+// this single client for data by message, so identical requests are shared,
+// run through one concurrency-limited queue and cached in one place.
+
+// Fields requested for every pull request, used by both batch and search queries
+const PR_GRAPHQL_FIELDS = `
+  number
+  title
+  url
+  authorAssociation
+  createdAt
+  updatedAt
+  additions
+  deletions
+  changedFiles
+  isDraft
+  reviewDecision
+  author {
+    __typename
+    login
+  }
+  commits(last: 1) {
+    nodes {
+      commit {
+        statusCheckRollup {
+          state
+        }
+      }
+    }
+  }`;
+
+// The triage dashboard also needs each PR's repository and whether a maintainer has
+// commented or reviewed. Only the latest 50 of each are checked.
+const TRIAGE_GRAPHQL_FIELDS = PR_GRAPHQL_FIELDS + `
+  repository {
+    nameWithOwner
+  }
+  comments(last: 50) {
+    nodes {
+      authorAssociation
+    }
+  }
+  reviews(last: 50) {
+    nodes {
+      authorAssociation
+    }
+  }`;
+
+
+// All the toolbar badge needs to count first-timer PRs, keeping its searches cheap
+const BADGE_GRAPHQL_FIELDS = `
+  number
+  authorAssociation
+  author {
+    __typename
+    login
+  }`;
+
+// Repositories per dashboard search, keeping each query well inside GitHub's length limit
+const TRIAGE_REPOS_PER_SEARCH = 10;
+
+// Requested alongside every GraphQL query so each response updates the budget
+const RATE_LIMIT_GRAPHQL_FIELDS = `
+  rateLimit {
+    cost
+    limit
+    remaining
+    resetAt
+  }`;
+
+// PR cache entries are stored one per key so a write only touches what changed
+const PR_CACHE_PREFIX = 'prCache:';
+
+// Bumped whenever the stored cache format changes; older caches are discarded on load
+const CACHE_VERSION = 2;
+
+// How often each repository's recently updated PRs are checked against the cache
+const UPDATE_CHECK_INTERVAL = 60 * 1000;
+
+// Contributor profiles change slowly, so they're kept longer than PR data
+const PROFILE_CACHE_EXPIRY = 24 * 60 * 60 * 1000;
+
+// Budget left untouched in each bucket so we stop just before GitHub refuses us
+const RATE_LIMIT_RESERVE = {
+  core: 2,
+  search: 1,
+  graphql: 25
+};
+
+// GitHub's node limit per query, plus our own ceilings on cost and aliases so one query
+// never gets slow enough to time out. GitHub itself allows a much higher cost per query.
+const GRAPHQL_LIMITS = {
+  maxNodes: 500000,
+  maxCost: 10,
+  maxAliases: 100
+};
+
+// What each aliased pull request adds to a query: the PR node plus its one-commit connection
+const PR_QUERY_SHAPE = {
+  nodes: 2,
+  connections: 1
+};
+
+// Batches one page load may have in flight, leaving queue slots for other tabs
+const GRAPHQL_BATCH_CONCURRENCY = 2;
+
+// Splits `items` into batches that each stay within the node, cost and alias limits above.
+// GitHub charges one point per 100 connections requested, with a minimum of one.
+function planGraphQLBatches(items, shape, limits = GRAPHQL_LIMITS) {
+  const batchSize = Math.max(1, Math.min(
+    limits.maxAliases,
+    Math.floor(limits.maxNodes / shape.nodes),
+    Math.floor(limits.maxCost * 100 / shape.connections)
+  ));
+  const batches = [];
+  
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    batches.push({
+      items: batch,
+      cost: Math.max(1, Math.ceil(batch.length * shape.connections / 100))
+    });
+  }
+  
+  return batches;
+}
+
+class RateLimitError extends Error {
+  constructor(message, resetAt) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt || null;
+  }
+}
+
+class GitHubClient {
+  // `auth` refreshes an expiring signed-in token before it's used
+  constructor(auth = null) {
+    this.debug = true;
+    this.auth = auth;
+    this.maxConcurrent = 4;
+    this.activeRequests = 0;
+    this.requestQueue = [];
+    this.inFlight = new Map(); // Request key -> pending Promise
+    this.cache = new Map(); // PR cache key -> { data, timestamp, etag, updatedAt }
+    this.dirtyCacheKeys = new Set(); // PR cache keys written or removed since the last save
+    this.cacheSaveTimer = null;
+    this.cacheStats = { hits: 0, misses: 0 }; // Since the browser started, kept in session storage
+    this.updateChecks = new Map(); // Repository -> { etag, checkedAt } for the updated PRs list
+    this.authorCache = new Map(); // Contributor history, keyed by repo and login
+    this.profileCache = new Map(); // Contributor profiles for the hover card, keyed by host and login
+    this.badgeCounts = new Map(); // Repository -> { count, timestamp } for the toolbar badge
+    this.applyCacheSettings(DEFAULT_CACHE_SETTINGS);
+    this.settings = null;
+    this.rateLimits = new Map(); // "host resource" -> { limit, remaining, resetAt }
+    this.ready = this.loadCacheFromStorage();
+    
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'session' && (changes.githubToken || changes.githubAuth || changes.enterpriseTokens)) {
+        this.settings = null;
+      }
+      if (areaName === 'local' && changes.cacheSettings) {
+        this.applyCacheSettings(resolveCacheSettings(changes.cacheSettings.newValue));
+        this.enforceCacheLimit();
+      }
+    });
+  }
+
+  log(message, ...args) {
+    if (this.debug) {
+      console.log('[PR Sorter API]', message, ...args);
+    }
+  }
+
+  applyCacheSettings({ ttlMinutes, maxEntries }) {
+    this.cacheExpiry = ttlMinutes * 60 * 1000;
+    this.maxCacheEntries = maxEntries;
+  }
+
+  async loadCacheFromStorage() {
+    const result = await chrome.storage.local.get(null);
+    
+    this.applyCacheSettings(resolveCacheSettings(result.cacheSettings));
+    
+    const session = await chrome.storage.session.get('cacheStats');
+    if (session.cacheStats) {
+      this.cacheStats = session.cacheStats;
+    }
+    
+    if (result.cacheVersion !== CACHE_VERSION) {
+      await this.discardLegacyCache(result);
+      return;
+    }
+    
+    Object.keys(result).filter(key => key.startsWith(PR_CACHE_PREFIX)).forEach(key => {
+      this.cache.set(key.slice(PR_CACHE_PREFIX.length), result[key]);
+    });
+    if (this.cache.size > 0) {
+      this.log(`Loaded ${this.cache.size} cached PR entries`);
+    }
+    if (result.authorCache) {
+      this.authorCache = new Map(JSON.parse(result.authorCache).entries);
+      this.log(`Loaded ${this.authorCache.size} cached contributor histories`);
+    }
+    if (result.profileCache) {
+      this.profileCache = new Map(JSON.parse(result.profileCache).entries);
+    }
+  }
+
+  // Earlier versions keyed cached PRs and contributor histories without the host or
+  // repository, so their entries can't be told apart. It's only a cache: start over.
+  async discardLegacyCache(stored) {
+    const legacyKeys = Object.keys(stored)
+      .filter(key => key === 'prCache' || key === 'authorCache' || key.startsWith(PR_CACHE_PREFIX));
+    
+    await chrome.storage.local.remove(legacyKeys);
+    await chrome.storage.local.set({ cacheVersion: CACHE_VERSION });
+    this.log(`Discarded ${legacyKeys.length} legacy cache entries`);
+  }
+
+  // Refreshes an expiring token at most once per call. A token endpoint can hand out
+  // tokens that already count as expiring, which are then used as they are.
+  async getToken(host, refreshed = false) {
+    if (!this.settings) {
+      this.settings = await getCredentials();
+    }
+    if (!refreshed && host === GITHUB_HOST && this.auth && this.auth.isExpiring(this.settings.githubAuth)) {
+      await this.auth.refreshToken();
+      this.settings = null;
+      return this.getToken(host, true);
+    }
+    return getHostToken(host, this.settings.githubToken, this.settings.enterpriseTokens);
+  }
+
+  // Runs `task` once fewer than `maxConcurrent` requests are active
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({ task, resolve, reject });
+      this.runQueue();
+    });
+  }
+
+  runQueue() {
+    while (this.activeRequests < this.maxConcurrent && this.requestQueue.length > 0) {
+      const { task, resolve, reject } = this.requestQueue.shift();
+      this.activeRequests++;
+      
+      task().then(resolve, reject).finally(() => {
+        this.activeRequests--;
+        this.runQueue();
+      });
+    }
+  }
+
+  // Callers asking for the same thing while it's pending share one request
+  dedupe(key, factory) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+    
+    const promise = factory().finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  getRateLimitKey(host, resource) {
+    return host + ' ' + resource;
+  }
+
+  recordRateLimit(host, resource, { limit, remaining, resetAt }) {
+    if (isNaN(remaining) || isNaN(resetAt)) return;
+    this.rateLimits.set(this.getRateLimitKey(host, resource), { limit, remaining, resetAt });
+  }
+
+  recordRateLimitHeaders(host, headers, fallbackResource) {
+    if (!headers.has('x-ratelimit-remaining')) return;
+    
+    this.recordRateLimit(host, headers.get('x-ratelimit-resource') || fallbackResource, {
+      limit: parseInt(headers.get('x-ratelimit-limit')),
+      remaining: parseInt(headers.get('x-ratelimit-remaining')),
+      resetAt: parseInt(headers.get('x-ratelimit-reset')) * 1000
+    });
+  }
+
+  // Claims budget for one request, or refuses once the bucket is down to its reserve
+  reserveBudget(host, resource, cost = 1) {
+    const key = this.getRateLimitKey(host, resource);
+    const bucket = this.rateLimits.get(key);
+    
+    if (!bucket) return;
+    
+    if (bucket.resetAt <= Date.now()) {
+      this.rateLimits.delete(key);
+      return;
+    }
+    
+    if (bucket.remaining - cost < RATE_LIMIT_RESERVE[resource]) {
+      throw new RateLimitError(
+        `GitHub API rate limit almost exhausted (${bucket.remaining} ${resource} requests left). Add a GitHub token for higher limits.`,
+        bucket.resetAt
+      );
+    }
+    
+    // Count it now so concurrent requests don't all spend the same budget
+    bucket.remaining -= cost;
+  }
+
+  getRateLimitStatus(host) {
+    const status = {};
+    
+    Object.keys(RATE_LIMIT_RESERVE).forEach(resource => {
+      const bucket = this.rateLimits.get(this.getRateLimitKey(host, resource));
+      if (bucket && bucket.resetAt > Date.now()) {
+        status[resource] = Object.assign({
+          exhausted: bucket.remaining < RATE_LIMIT_RESERVE[resource]
+        }, bucket);
+      }
+    });
+    
+    return status;
+  }
+
+  // Pass the ETag of a previous response to get `notModified: true` instead of the data
+  // when nothing changed. GitHub doesn't count those 304 responses against the rate limit.
+  async restRequest(host, url, etag = null) {
+    const token = await this.getToken(host);
+    const resource = url.includes('/search/') ? 'search' : 'core';
+    
+    return this.dedupe('GET ' + url + ' ' + etag, () => this.schedule(async () => {
+      this.reserveBudget(host, resource);
+      
+      const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'PR-Contributor-Sorter/2.0'
+      };
+      
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      if (etag) {
+        headers['If-None-Match'] = etag;
+      }
+      
+      const response = await fetch(url, { headers });
+      this.recordRateLimitHeaders(host, response.headers, resource);
+      
+      if (response.status === 304) {
+        return { data: null, link: null, etag, notModified: true };
+      }
+      
+      if (!response.ok) {
+        const { message } = await response.json().catch(() => ({}));
+        
+        if (this.isRateLimitResponse(response, message)) {
+          const bucket = this.rateLimits.get(this.getRateLimitKey(host, resource));
+          const resetAt = this.getRetryAt(response) || bucket && bucket.resetAt;
+          this.log(`Rate limit info - Remaining: ${bucket && bucket.remaining}, Reset: ${resetAt}`);
+          
+          throw new RateLimitError(`GitHub API rate limit exceeded (${response.status}). Add a GitHub token for unlimited requests.`, resetAt);
+        }
+        throw new Error('GitHub API error: ' + response.status + ' - ' + (message || response.statusText));
+      }
+      
+      return {
+        data: await response.json(),
+        link: response.headers.get('link'),
+        etag: response.headers.get('etag'),
+        notModified: false
+      };
+    }));
+  }
+
+  // `cost` is the planner's estimate, claimed up front and corrected by the response.
+  // Resolves with `{ data, errors }`: GitHub still answers the rest of a query when one
+  // field fails, so callers check `errors` for the parts that are missing.
+  async graphqlRequest(host, query, variables = {}, cost = 1) {
+    const token = await this.getToken(host);
+    const body = JSON.stringify({ query, variables });
+    
+    if (!token) {
+      throw new Error('The GraphQL API requires a GitHub token');
+    }
+    
+    return this.dedupe('POST ' + host + ' ' + body, () => this.schedule(async () => {
+      this.reserveBudget(host, 'graphql', cost);
+      
+      const response = await fetch(getApiEndpoints(host).graphql, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'User-Agent': 'PR-Contributor-Sorter/2.0'
+        },
+        body
+      });
+      this.recordRateLimitHeaders(host, response.headers, 'graphql');
+      
+      if (!response.ok) {
+        const { message } = await response.json().catch(() => ({}));
+        
+        if (this.isRateLimitResponse(response, message)) {
+          const bucket = this.rateLimits.get(this.getRateLimitKey(host, 'graphql'));
+          throw new RateLimitError('GitHub GraphQL rate limit exceeded', this.getRetryAt(response) || bucket && bucket.resetAt);
+        }
+        throw new Error(`GraphQL API error: ${response.status} - ${message || response.statusText}`);
+      }
+      
+      const result = await response.json();
+      
+      if (result.data && result.data.rateLimit) {
+        const { limit, remaining, resetAt, cost } = result.data.rateLimit;
+        this.recordRateLimit(host, 'graphql', { limit, remaining, resetAt: Date.parse(resetAt) });
+        this.log(`GraphQL query cost ${cost}, ${remaining} points left`);
+      }
+      
+      const errors = result.errors || [];
+      
+      if (errors.some(error => error.type === 'RATE_LIMITED')) {
+        const bucket = this.rateLimits.get(this.getRateLimitKey(host, 'graphql'));
+        throw new RateLimitError('GitHub GraphQL rate limit exceeded', bucket && bucket.resetAt);
+      }
+      if (!result.data) {
+        throw new Error('GraphQL errors: ' + JSON.stringify(errors));
+      }
+      if (errors.length > 0) {
+        this.log(`GraphQL returned partial data with ${errors.length} errors:`, errors.map(error => error.message));
+      }
+      
+      return { data: result.data, errors };
+    }));
+  }
+
+  // The field names at `depth` in each error's path, such as the `pr3` alias in
+  // ['repository', 'pr3', 'commits'], so only those parts are treated as missing
+  getErroredFields(errors, depth) {
+    return new Set(errors.filter(error => error.path && error.path.length > depth).map(error => error.path[depth]));
+  }
+
+  // Checks a token before it's used: who it belongs to, what it may do and whether it can
+  // see `owner/repo`. Without `token`, checks the one already saved for `host`.
+  async inspectToken({ host, token, owner, repo }) {
+    token = token || await this.getToken(host);
+    
+    if (!token) {
+      return { valid: false, message: 'No token set' };
+    }
+    
+    const api = getApiEndpoints(host).rest;
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      'Authorization': `Bearer ${token}`,
+      'User-Agent': 'PR-Contributor-Sorter/2.0'
+    };
+    
+    const response = await this.schedule(() => fetch(api + '/user', { headers }));
+    
+    if (response.status === 401) {
+      return { valid: false, message: 'GitHub rejected this token. It may be mistyped, revoked or expired.' };
+    }
+    if (!response.ok) {
+      throw new Error('GitHub API error: ' + response.status + ' - ' + response.statusText);
+    }
+    
+    const user = await response.json();
+    const scopes = response.headers.get('x-oauth-scopes');
+    const expiration = response.headers.get('github-authentication-token-expiration');
+    
+    const info = {
+      valid: true,
+      login: user.login,
+      // Fine-grained tokens don't have scopes, their permissions are set per repository
+      scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(scope => scope),
+      expiresAt: expiration ? Date.parse(expiration) || null : null,
+      rateLimit: {
+        limit: parseInt(response.headers.get('x-ratelimit-limit')) || null,
+        remaining: parseInt(response.headers.get('x-ratelimit-remaining')) || 0,
+        resetAt: parseInt(response.headers.get('x-ratelimit-reset')) * 1000 || null
+      },
+      repoAccess: null
+    };
+    
+    if (owner && repo) {
+      // GitHub answers 404 rather than 403 for private repositories a token can't see
+      const repoResponse = await this.schedule(() => fetch(`${api}/repos/${owner}/${repo}`, { headers }));
+      info.repoAccess = {
+        repo: `${owner}/${repo}`,
+        visible: repoResponse.ok,
+        private: repoResponse.ok ? (await repoResponse.json()).private : null
+      };
+    }
+    
+    return info;
+  }
+
+  isRateLimitError(error) {
+    return error instanceof RateLimitError;
+  }
+
+  // GitHub also answers 403 for missing permissions and blocked repositories, which
+  // waiting won't fix. Only the headers or message of a real rate limit say so.
+  isRateLimitResponse(response, message) {
+    if (response.status !== 403 && response.status !== 429) return false;
+    
+    return response.headers.get('x-ratelimit-remaining') === '0' ||
+      response.headers.has('retry-after') ||
+      /rate limit/i.test(message || '');
+  }
+
+  // Secondary rate limits say how long to wait in `retry-after` instead of a reset time
+  getRetryAt(response) {
+    const retryAfter = parseInt(response.headers.get('retry-after'));
+    return isNaN(retryAfter) ? null : Date.now() + retryAfter * 1000;
+  }
+
+  // Answers from cache where possible and batches the rest into as few requests as it can
+  // `bypassCache` refetches every PR, for when the user asks for fresh data
+  async getPRMetadata({ host, owner, repo, numbers, bypassCache = false }) {
+    await this.ready;
+    this.clearExpiredCache();
+    
+    const repoContext = { host, owner, repo };
+    const token = await this.getToken(host);
+    // Numbers are interpolated into GraphQL queries, so only accept real PR numbers
+    const prNumbers = numbers.filter(prNumber => Number.isInteger(prNumber) && prNumber > 0);
+    const prs = {};
+    const pending = [];
+    const toFetch = [];
+    let rateLimitResetAt = null;
+    
+    this.log(`Processing ${prNumbers.length} PRs (${token ? 'authenticated' : 'rate limited'})`);
+    
+    if (!bypassCache && prNumbers.some(prNumber => this.cache.has(getPRCacheKey(repoContext, prNumber)))) {
+      await this.checkForUpdates(repoContext);
+    }
+    
+    for (const prNumber of prNumbers) {
+      const cacheKey = getPRCacheKey(repoContext, prNumber);
+      const cached = bypassCache ? null : this.getFromCache(cacheKey);
+      if (cached) {
+        prs[prNumber] = cached;
+      } else if (this.inFlight.has('pr:' + cacheKey)) {
+        // Another tab is already fetching this PR
+        pending.push([prNumber, this.inFlight.get('pr:' + cacheKey)]);
+      } else {
+        toFetch.push(prNumber);
+      }
+    }
+    
+    if (toFetch.length > 0) {
+      this.log(`Fetching ${toFetch.length} new PRs from API`);
+      
+      const batch = this.fetchPRBatch(repoContext, toFetch, token);
+      toFetch.forEach(prNumber => {
+        // Waiters on a failed batch just get nothing, the caller that started it sees the error
+        const single = batch.then(({ results }) => results[prNumber] || null, () => null);
+        this.dedupe('pr:' + getPRCacheKey(repoContext, prNumber), () => single);
+      });
+      
+      const { results, resetAt } = await batch;
+      Object.assign(prs, results);
+      rateLimitResetAt = resetAt;
+    }
+    
+    for (const [prNumber, promise] of pending) {
+      const data = await promise.catch(() => null);
+      if (data) {
+        prs[prNumber] = data;
+      }
+    }
+    
+    // A partial answer tells the tab when it can ask again for the rest
+    return {
+      prs,
+      authenticated: !!token,
+      rateLimited: rateLimitResetAt ? { resetAt: rateLimitResetAt } : null
+    };
+  }
+
+  // Resolves with whatever was fetched before any rate limit, plus when that limit resets
+  async fetchPRBatch(repoContext, prNumbers, token) {
+    const results = {};
+    
+    try {
+      // Use GraphQL for batch fetching if we have a token, otherwise use REST API
+      if (token) {
+        const failed = await this.fetchPRDataGraphQL(repoContext, prNumbers, results);
+        
+        if (failed.length > 0) {
+          this.log(`GraphQL failed for ${failed.length} PRs, falling back to REST API`);
+          await this.fetchPRDataREST(repoContext, failed, results);
+        }
+      } else {
+        await this.fetchPRDataREST(repoContext, prNumbers, results);
+      }
+    } catch (error) {
+      if (!this.isRateLimitError(error)) throw error;
+      
+      this.log(`⚠️ Hit GitHub rate limit after ${Object.keys(results).length} PRs. Returning partial results.`);
+      return { results, resetAt: error.resetAt || Date.now() + 60 * 1000 };
+    }
+    
+    return { results, resetAt: null };
+  }
+
+  async fetchPRDataREST(repoContext, prNumbers, results) {
+    let rateLimitError = null;
+    
+    // Requests go through the queue, which spaces them out against the remaining budget
+    await Promise.all(prNumbers.map(async prNumber => {
+      try {
+        results[prNumber] = await this.fetchPRDetails(repoContext, prNumber);
+      } catch (error) {
+        this.log('Failed to fetch data for PR #' + prNumber + ':', error.message);
+        
+        if (this.isRateLimitError(error)) {
+          rateLimitError = rateLimitError || error;
+        }
+      }
+    }));
+    
+    if (rateLimitError) {
+      throw rateLimitError;
+    }
+  }
+
+  // Fetches PRs in planned batches, a few at a time. PRs that come back with errors are
+  // failed on their own, and a batch that fails outright is retried one PR at a time so a
+  // single bad number only loses itself. Resolves with the numbers that still failed;
+  // a rate limit stops everything and is rethrown once batches settle.
+  async fetchPRDataGraphQL(repoContext, prNumbers, results) {
+    const queue = planGraphQLBatches(prNumbers, PR_QUERY_SHAPE);
+    const failed = [];
+    let rateLimitError = null;
+    
+    this.log(`Planned ${queue.length} GraphQL batches for ${prNumbers.length} PRs`);
+    
+    const runBatch = async batch => {
+      try {
+        const missing = await this.fetchPRBatchGraphQL(repoContext, batch, results);
+        if (missing.length > 0) {
+          this.log(`GraphQL returned errors for PRs ${missing.map(prNumber => '#' + prNumber).join(', ')}`);
+          failed.push(...missing);
+        }
+      } catch (error) {
+        if (this.isRateLimitError(error)) {
+          rateLimitError = rateLimitError || error;
+        } else if (batch.items.length === 1) {
+          this.log(`GraphQL failed for PR #${batch.items[0]}:`, error.message);
+          failed.push(batch.items[0]);
+        } else {
+          this.log(`GraphQL batch of ${batch.items.length} PRs failed, retrying individually:`, error.message);
+          for (const prNumber of batch.items) {
+            if (rateLimitError) break;
+            await runBatch({ items: [prNumber], cost: 1 });
+          }
+        }
+      }
+    };
+    
+    const worker = async () => {
+      while (queue.length > 0 && !rateLimitError) {
+        await runBatch(queue.shift());
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(GRAPHQL_BATCH_CONCURRENCY, queue.length) }, worker));
+    
+    if (rateLimitError) {
+      throw rateLimitError;
+    }
+    
+    return failed;
+  }
+
+  // Resolves with the numbers of PRs GitHub returned errors for instead of data
+  async fetchPRBatchGraphQL({ host, owner, repo }, batch, results) {
+    // Build GraphQL query for multiple PRs
+    const queries = batch.items.map((prNumber, index) => {
+      return `
+        pr${index}: pullRequest(number: ${prNumber}) {
+          ${PR_GRAPHQL_FIELDS}
+        }`;
+    }).join('');
+    
+    const query = `
+      query GetPullRequests($owner: String!, $repo: String!) {
+        ${RATE_LIMIT_GRAPHQL_FIELDS}
+        repository(owner: $owner, name: $repo) {
+          ${queries}
+        }
+      }`;
+    
+    const { data, errors } = await this.graphqlRequest(host, query, { owner, repo }, batch.cost);
+    
+    if (!data.repository) {
+      throw new Error('GraphQL errors: ' + JSON.stringify(errors));
+    }
+    
+    // Process the results
+    const erroredAliases = this.getErroredFields(errors, 1);
+    const missing = [];
+    batch.items.forEach((prNumber, index) => {
+      const alias = `pr${index}`;
+      const prData = data.repository[alias];
+      if (prData && !erroredAliases.has(alias)) {
+        const processedData = this.normalizeGraphQLPR(prData);
+        results[prNumber] = processedData;
+        this.setCache(getPRCacheKey({ host, owner, repo }, prNumber), processedData);
+      } else {
+        missing.push(prNumber);
+      }
+    });
+    
+    this.log(`Fetched ${batch.items.length - missing.length} PRs via GraphQL`);
+    return missing;
+  }
+
+  // Revalidates an expired cache entry with its ETag, which costs nothing if the PR hasn't changed
+  async fetchPRDetails({ host, owner, repo }, prNumber) {
+    const url = getApiEndpoints(host).rest + '/repos/' + owner + '/' + repo + '/pulls/' + prNumber;
+    const cacheKey = getPRCacheKey({ host, owner, repo }, prNumber);
+    const stale = this.cache.get(cacheKey);
+    const { data, etag, notModified } = await this.restRequest(host, url, stale && stale.etag);
+    
+    if (notModified) {
+      this.log(`PR #${prNumber} not modified, reusing cached data`);
+      this.setCache(cacheKey, stale.data, etag);
+      return stale.data;
+    }
+    
+    const prData = {
+      number: prNumber,
+      title: data.title,
+      html_url: data.html_url,
+      author_association: data.author_association,
+      created_at: data.created_at,
+      additions: data.additions,
+      deletions: data.deletions,
+      changed_files: data.changed_files,
+      draft: data.draft,
+      review_decision: null, // Not exposed by the REST API
+      ci_state: null,
+      updated_at: data.updated_at,
+      user: data.user
+    };
+    
+    this.setCache(cacheKey, prData, etag);
+    return prData;
+  }
+
+  normalizeGraphQLPR(node) {
+    const lastCommit = node.commits && node.commits.nodes[0];
+    const rollup = lastCommit && lastCommit.commit.statusCheckRollup;
+    
+    return {
+      number: node.number,
+      title: node.title,
+      html_url: node.url,
+      author_association: node.authorAssociation,
+      created_at: node.createdAt,
+      additions: node.additions,
+      deletions: node.deletions,
+      changed_files: node.changedFiles,
+      draft: node.isDraft,
+      review_decision: node.reviewDecision,
+      ci_state: rollup ? rollup.state : null,
+      updated_at: node.updatedAt,
+      user: node.author
+    };
+  }
+
+  async searchPRs({ host, searchQuery }) {
+    await this.ready;
+    
+    const { result, viaGraphQL } = await this.fetchSearchResults(host, searchQuery);
+    
+    // REST search items have no diff size, review state or CI status, so only GraphQL
+    // results are cached. Search results name their own repository, the query doesn't
+    // have to be limited to one.
+    if (viaGraphQL) {
+      result.prs.forEach(pr => {
+        const [owner, repo] = (getRepoFullNameFromUrl(pr.html_url) || '').split('/');
+        if (owner && repo) {
+          this.setCache(getPRCacheKey({ host, owner, repo }, pr.number), pr);
+        }
+      });
+    }
+    
+    return result;
+  }
+
+  // GitHub only returns the first 1,000 results of a search, however many it counted
+  isTruncatedSearch(search) {
+    return search.total > search.prs.length;
+  }
+
+  // Every PR matching `searchQuery`, without touching the cache. `viaGraphQL` is false
+  // when the results came from the REST API instead. `truncated` is set when the search
+  // finished but matched more PRs than GitHub returns.
+  async fetchSearchResults(host, searchQuery) {
+    const token = await this.getToken(host);
+    const result = { prs: [], total: 0, complete: true };
+    let viaGraphQL = false;
+    
+    this.log('Fetching all PRs matching:', searchQuery);
+    
+    try {
+      if (token) {
+        try {
+          viaGraphQL = true;
+          await this.searchPRsGraphQL(host, searchQuery, result);
+        } catch (error) {
+          if (this.isRateLimitError(error)) throw error;
+          this.log('GraphQL search failed, falling back to REST API:', error.message);
+          viaGraphQL = false;
+          result.prs = [];
+          await this.searchPRsREST(host, searchQuery, result);
+        }
+      } else {
+        await this.searchPRsREST(host, searchQuery, result);
+      }
+    } catch (error) {
+      // Keep whatever pages we already have if the rate limit hits partway through
+      if (!this.isRateLimitError(error) || result.prs.length === 0) {
+        throw error;
+      }
+      this.log(`⚠️ Rate limit hit after ${result.prs.length} PRs. Using partial results.`);
+      result.complete = false;
+      result.resetAt = error.resetAt || Date.now() + 60 * 1000;
+    }
+    
+    result.truncated = result.complete && this.isTruncatedSearch(result);
+    if (result.truncated) {
+      this.log(`⚠️ Search matched ${result.total} PRs, only ${result.prs.length} were returned`);
+    }
+    
+    return { result: Object.assign(result, { authenticated: !!token }), viaGraphQL };
+  }
+
+  // `fields` and `normalize` let other views ask for more than the sort needs
+  async searchPRsGraphQL(host, searchQuery, result, fields = PR_GRAPHQL_FIELDS, normalize = node => this.normalizeGraphQLPR(node)) {
+    const query = `
+      query SearchPullRequests($searchQuery: String!, $cursor: String) {
+        ${RATE_LIMIT_GRAPHQL_FIELDS}
+        search(query: $searchQuery, type: ISSUE, first: 100, after: $cursor) {
+          issueCount
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ... on PullRequest {
+              ${fields}
+            }
+          }
+        }
+      }`;
+    
+    let cursor = null;
+    
+    do {
+      const { data, errors } = await this.graphqlRequest(host, query, { searchQuery, cursor });
+      
+      const search = data.search;
+      if (!search) {
+        throw new Error('GraphQL errors: ' + JSON.stringify(errors));
+      }
+      
+      // Errors under ['search', 'nodes', index] mean that PR's fields are incomplete, so it's left out
+      const erroredNodes = this.getErroredFields(errors.filter(error => error.path && error.path[1] === 'nodes'), 2);
+      result.total = search.issueCount;
+      search.nodes.forEach((node, index) => {
+        if (node && node.number && !erroredNodes.has(index)) {
+          result.prs.push(normalize(node));
+        }
+      });
+      
+      cursor = search.pageInfo.hasNextPage ? search.pageInfo.endCursor : null;
+    } while (cursor);
+    
+    this.log(`Fetched ${result.prs.length} PRs via GraphQL search`);
+  }
+
+  // Open PRs across many repositories, or a whole organisation, for the triage dashboard.
+  // Search can't filter on author association, so the dashboard picks out new contributors.
+  // GitHub only returns the first 1,000 results of a search; `truncated` lists the scopes
+  // (such as "org:octo-org") that matched more, so some of their PRs are missing.
+  // `failed` lists the scopes GitHub couldn't search, such as a deleted, renamed or
+  // private repository, and `searched` the repositories whose open PRs were all fetched.
+  async getTriagePRs({ host, repos = [], org = '' }) {
+    await this.ready;
+    
+    if (!(await this.getToken(host))) {
+      throw new Error('The dashboard needs a GitHub token. Add one in the popup.');
+    }
+    
+    const scopes = [];
+    if (org) {
+      scopes.push({ query: `org:${org}`, repos: [] });
+    }
+    for (let i = 0; i < repos.length; i += TRIAGE_REPOS_PER_SEARCH) {
+      const group = repos.slice(i, i + TRIAGE_REPOS_PER_SEARCH);
+      scopes.push({ query: group.map(repo => `repo:${repo}`).join(' '), repos: group });
+    }
+    
+    const result = { prs: [], total: 0, complete: true, truncated: [], failed: [], searched: [] };
+    const seen = new Set();
+    let searches = 0;
+    
+    while (scopes.length > 0) {
+      const scope = scopes.shift();
+      const batch = { prs: [], total: 0 };
+      searches++;
+      
+      try {
+        await this.searchPRsGraphQL(host, `${scope.query} is:pr is:open archived:false`, batch,
+          TRIAGE_GRAPHQL_FIELDS, node => this.normalizeTriagePR(node));
+      } catch (error) {
+        if (this.isRateLimitError(error)) {
+          this.log(`⚠️ Rate limit hit after ${result.prs.length + batch.prs.length} PRs. Using partial results.`);
+          result.complete = false;
+          result.resetAt = error.resetAt || Date.now() + 60 * 1000;
+        } else if (scope.repos.length > 1) {
+          // One repository GitHub can't search fails the whole query, so find out which
+          this.log(`Search for ${scope.query} failed, retrying its repositories one at a time:`, error.message);
+          scopes.unshift(...scope.repos.map(repo => ({ query: `repo:${repo}`, repos: [repo] })));
+          continue;
+        } else {
+          this.log(`⚠️ Search for ${scope.query} failed:`, error.message);
+          result.failed.push(scope.query);
+          continue;
+        }
+      }
+      
+      if (result.complete && this.isTruncatedSearch(batch)) {
+        this.log(`⚠️ ${scope.query} matched ${batch.total} PRs, only ${batch.prs.length} were returned`);
+        result.truncated.push(scope.query);
+      } else if (result.complete) {
+        result.searched.push(...scope.repos);
+      }
+      
+      // An org and a repo in it can both match the same PR
+      batch.prs.filter(pr => !seen.has(pr.html_url)).forEach(pr => {
+        seen.add(pr.html_url);
+        result.prs.push(pr);
+      });
+      result.total += batch.total;
+      
+      if (!result.complete) break;
+    }
+    
+    this.log(`Fetched ${result.prs.length} open PRs for the dashboard from ${searches} searches`);
+    return result;
+  }
+
+  // Open PRs from first-time contributors in a repository, for the toolbar badge. Search
+  // can't filter on author association, so every open PR is listed with just its author.
+  // Only counted with a token: REST search allows 10 requests a minute, which are left
+  // for the user's own sorts. The count is reused for as long as cached PRs are. `count` is null for pages that turn out
+  // not to be a repository (such as /settings/profile), so they aren't searched again either.
+  async getFirstTimerCount({ host, owner, repo }) {
+    await this.ready;
+    
+    const repoKey = `${host}/${owner}/${repo}`.toLowerCase();
+    const cached = this.badgeCounts.get(repoKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      return { count: cached.count };
+    }
+    
+    if (!(await this.getToken(host))) {
+      return { count: null };
+    }
+    
+    return this.dedupe('badge ' + repoKey, async () => {
+      let count = null;
+      
+      try {
+        const result = { prs: [], total: 0 };
+        await this.searchPRsGraphQL(host, `repo:${owner}/${repo} is:pr is:open`, result, BADGE_GRAPHQL_FIELDS,
+          node => ({ author_association: node.authorAssociation, user: node.author }));
+        count = result.prs.filter(pr => !isBotAuthor(pr.user) && FIRST_TIMER_ASSOCIATIONS.includes(pr.author_association)).length;
+      } catch (error) {
+        if (this.isRateLimitError(error)) throw error;
+        this.log(`No badge count for ${repoKey}:`, error.message);
+      }
+      
+      this.badgeCounts.set(repoKey, { count, timestamp: Date.now() });
+      return { count };
+    });
+  }
+
+  normalizeTriagePR(node) {
+    const responses = node.comments.nodes.concat(node.reviews.nodes);
+    
+    return Object.assign(this.normalizeGraphQLPR(node), {
+      repo: node.repository.nameWithOwner,
+      maintainer_responded: responses.some(response => MAINTAINER_ASSOCIATIONS.includes(response.authorAssociation))
+    });
+  }
+
+  async searchPRsREST(host, searchQuery, result) {
+    let url = getApiEndpoints(host).rest + '/search/issues?per_page=100&q=' + encodeURIComponent(searchQuery);
+    
+    while (url) {
+      const { data, link } = await this.restRequest(host, url);
+      
+      result.total = data.total_count;
+      data.items.forEach(item => {
+        result.prs.push({
+          number: item.number,
+          title: item.title,
+          html_url: item.html_url,
+          author_association: item.author_association,
+          created_at: item.created_at,
+          additions: null,
+          deletions: null,
+          changed_files: null,
+          draft: item.draft,
+          review_decision: null,
+          ci_state: null,
+          updated_at: item.updated_at,
+          user: item.user
+        });
+      });
+      
+      url = this.getNextPageUrl(link);
+    }
+    
+    this.log(`Fetched ${result.prs.length} PRs via REST search`);
+  }
+
+  getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+  }
+
+  getAuthorKey({ host, owner, repo }, login) {
+    return `${host}/${owner}/${repo}@${login}`.toLowerCase();
+  }
+
+  getCachedAuthorHistory(repoContext, login) {
+    const cached = this.authorCache.get(this.getAuthorKey(repoContext, login));
+    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      return cached.data;
+    }
+    return null;
+  }
+
+  // Looks up merged and closed PR counts for each author we don't have cached
+  async getAuthorHistory({ host, owner, repo, logins, bypassCache = false }) {
+    await this.ready;
+    
+    const repoContext = { host, owner, repo };
+    const history = {};
+    
+    if (!(await this.getToken(host))) {
+      this.log('Skipping contributor history (requires a GitHub token)');
+      return { history };
+    }
+    
+    const toFetch = [];
+    logins.filter(login => /^[A-Za-z0-9-]+$/.test(login)).forEach(login => {
+      const cached = bypassCache ? null : this.getCachedAuthorHistory(repoContext, login);
+      if (cached) {
+        history[login] = cached;
+      } else {
+        toFetch.push(login);
+      }
+    });
+    
+    if (toFetch.length > 0) {
+      this.log(`Fetching contributor history for ${toFetch.length} authors`);
+      
+      // Three searches per author, so keep each query to a modest size
+      const batchSize = 20;
+      for (let i = 0; i < toFetch.length; i += batchSize) {
+        try {
+          await this.fetchAuthorHistoryGraphQL(repoContext, toFetch.slice(i, i + batchSize));
+        } catch (error) {
+          this.log('Failed to fetch contributor history:', error.message);
+          break;
+        }
+      }
+      
+      toFetch.forEach(login => {
+        const fetched = this.getCachedAuthorHistory(repoContext, login);
+        if (fetched) {
+          history[login] = fetched;
+        }
+      });
+      this.saveAuthorCacheToStorage();
+    }
+    
+    return { history };
+  }
+
+  async fetchAuthorHistoryGraphQL(repoContext, logins) {
+    const scope = `repo:${repoContext.owner}/${repoContext.repo} is:pr`;
+    
+    const queries = logins.map((login, index) => {
+      return `
+        a${index}_total: search(query: "${scope} author:${login}", type: ISSUE, first: 0) { issueCount }
+        a${index}_merged: search(query: "${scope} author:${login} is:merged", type: ISSUE, first: 0) { issueCount }
+        a${index}_closed: search(query: "${scope} author:${login} is:closed is:unmerged", type: ISSUE, first: 0) { issueCount }`;
+    }).join('');
+    
+    const { data, errors } = await this.graphqlRequest(repoContext.host, `query GetAuthorHistory {${RATE_LIMIT_GRAPHQL_FIELDS}${queries}\n}`);
+    
+    // Authors with a failed search aren't cached, so they're asked for again next time
+    const erroredAliases = this.getErroredFields(errors, 0);
+    const now = Date.now();
+    logins.forEach((login, index) => {
+      const aliases = [`a${index}_total`, `a${index}_merged`, `a${index}_closed`];
+      if (aliases.some(alias => !data[alias] || erroredAliases.has(alias))) return;
+      
+      this.authorCache.set(this.getAuthorKey(repoContext, login), {
+        data: {
+          total: data[`a${index}_total`].issueCount,
+          merged: data[`a${index}_merged`].issueCount,
+          closed: data[`a${index}_closed`].issueCount
+        },
+        timestamp: now
+      });
+    });
+    
+    this.log(`Fetched contributor history for ${logins.length} authors via GraphQL`);
+  }
+
+  saveAuthorCacheToStorage() {
+    const now = Date.now();
+    const entries = Array.from(this.authorCache.entries())
+      .filter(([, cached]) => now - cached.timestamp < this.cacheExpiry);
+    
+    this.authorCache = new Map(entries);
+    chrome.storage.local.set({ authorCache: JSON.stringify({ entries }) });
+  }
+
+  getProfileKey(host, login) {
+    return `${host}@${login}`.toLowerCase();
+  }
+
+  // Who a contributor is, for the badge's hover card. Only public org memberships
+  // are visible to other users, so `orgs` can be missing some.
+  async getContributorProfile({ host, login, bypassCache = false }) {
+    await this.ready;
+    
+    if (!/^[A-Za-z0-9-]+$/.test(login || '')) {
+      throw new Error('Not a GitHub user: ' + login);
+    }
+    
+    const profileKey = this.getProfileKey(host, login);
+    const cached = this.profileCache.get(profileKey);
+    if (!bypassCache && cached && Date.now() - cached.timestamp < PROFILE_CACHE_EXPIRY) {
+      return { profile: cached.data };
+    }
+    
+    const api = getApiEndpoints(host).rest;
+    const [user, orgs] = await Promise.all([
+      this.restRequest(host, `${api}/users/${login}`),
+      this.restRequest(host, `${api}/users/${login}/orgs?per_page=100`)
+    ]);
+    
+    const profile = {
+      login: user.data.login,
+      name: user.data.name,
+      avatarUrl: user.data.avatar_url,
+      htmlUrl: user.data.html_url,
+      createdAt: user.data.created_at,
+      publicRepos: user.data.public_repos,
+      orgs: orgs.data.map(org => org.login)
+    };
+    
+    this.profileCache.set(profileKey, { data: profile, timestamp: Date.now() });
+    this.saveProfileCacheToStorage();
+    this.log(`Fetched profile for ${login}`);
+    
+    return { profile };
+  }
+
+  saveProfileCacheToStorage() {
+    const now = Date.now();
+    const entries = Array.from(this.profileCache.entries())
+      .filter(([, cached]) => now - cached.timestamp < PROFILE_CACHE_EXPIRY);
+    
+    this.profileCache = new Map(entries);
+    chrome.storage.local.set({ profileCache: JSON.stringify({ entries }) });
+  }
+
+  // Drops cached PRs that changed since they were cached. GitHub lists recently updated
+  // PRs first, and the list's ETag makes the check free while nothing has changed.
+  async checkForUpdates(repoContext) {
+    const { host, owner, repo } = repoContext;
+    const repoKey = `${host}/${owner}/${repo}`.toLowerCase();
+    const previous = this.updateChecks.get(repoKey);
+    
+    if (previous && Date.now() - previous.checkedAt < UPDATE_CHECK_INTERVAL) {
+      return;
+    }
+    
+    const url = getApiEndpoints(host).rest + '/repos/' + owner + '/' + repo +
+      '/pulls?state=all&sort=updated&direction=desc&per_page=100';
+    
+    try {
+      const { data, etag, notModified } = await this.restRequest(host, url, previous && previous.etag);
+      this.updateChecks.set(repoKey, { etag, checkedAt: Date.now() });
+      
+      if (notModified) return;
+      
+      let invalidated = 0;
+      data.forEach(pr => {
+        const cacheKey = getPRCacheKey(repoContext, pr.number);
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.updatedAt !== pr.updated_at) {
+          this.deleteCacheEntry(cacheKey);
+          invalidated++;
+        }
+      });
+      
+      if (invalidated > 0) {
+        this.log(`Invalidated ${invalidated} cached PRs that changed on GitHub`);
+      }
+    } catch (error) {
+      // Cached data is still usable until it expires, so this check is best effort
+      this.log('Failed to check for updated PRs:', error.message);
+    }
+  }
+
+  getFromCache(cacheKey) {
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      this.log(`Cache hit for ${cacheKey}`);
+      this.cacheStats.hits++;
+      this.scheduleCacheSave();
+      return cached.data;
+    }
+    this.cacheStats.misses++;
+    this.scheduleCacheSave();
+    // Expired entries with an ETag are kept so the next fetch can revalidate them
+    if (cached && !cached.etag) {
+      this.deleteCacheEntry(cacheKey);
+    }
+    return null;
+  }
+
+  setCache(cacheKey, data, etag = null) {
+    this.cache.set(cacheKey, {
+      data,
+      timestamp: Date.now(),
+      etag,
+      updatedAt: data.updated_at || null
+    });
+    this.markCacheDirty(cacheKey);
+    this.enforceCacheLimit();
+  }
+
+  deleteCacheEntry(cacheKey) {
+    this.cache.delete(cacheKey);
+    this.markCacheDirty(cacheKey);
+  }
+
+  // Evicts the least recently fetched entries once the cache outgrows its limit
+  enforceCacheLimit() {
+    const excess = this.cache.size - this.maxCacheEntries;
+    if (excess <= 0) return;
+    
+    Array.from(this.cache.entries())
+      .sort((a, b) => a[1].timestamp - b[1].timestamp)
+      .slice(0, excess)
+      .forEach(([cacheKey]) => this.deleteCacheEntry(cacheKey));
+    
+    this.log(`Evicted ${excess} cache entries to stay within ${this.maxCacheEntries}`);
+  }
+
+  markCacheDirty(cacheKey) {
+    this.dirtyCacheKeys.add(cacheKey);
+    this.scheduleCacheSave();
+  }
+
+  scheduleCacheSave() {
+    // Collect the writes from one batch of responses into a single storage update
+    if (!this.cacheSaveTimer) {
+      this.cacheSaveTimer = setTimeout(() => this.saveCacheToStorage(), 100);
+    }
+  }
+
+  saveCacheToStorage() {
+    const updates = {};
+    const removals = [];
+    
+    this.dirtyCacheKeys.forEach(cacheKey => {
+      const entry = this.cache.get(cacheKey);
+      if (entry) {
+        updates[PR_CACHE_PREFIX + cacheKey] = entry;
+      } else {
+        removals.push(PR_CACHE_PREFIX + cacheKey);
+      }
+    });
+    
+    this.dirtyCacheKeys.clear();
+    this.cacheSaveTimer = null;
+    
+    chrome.storage.session.set({ cacheStats: this.cacheStats });
+    
+    if (Object.keys(updates).length > 0) {
+      chrome.storage.local.set(updates);
+    }
+    if (removals.length > 0) {
+      chrome.storage.local.remove(removals);
+    }
+  }
+
+  async getCacheStats() {
+    await this.ready;
+    
+    const repos = new Map();
+    this.cache.forEach((entry, cacheKey) => {
+      const repoName = cacheKey.slice(0, cacheKey.lastIndexOf('#'));
+      repos.set(repoName, (repos.get(repoName) || 0) + 1);
+    });
+    
+    const storageKeys = Array.from(this.cache.keys()).map(cacheKey => PR_CACHE_PREFIX + cacheKey);
+    const bytes = await chrome.storage.local.getBytesInUse(storageKeys.concat('authorCache', 'profileCache'));
+    
+    return {
+      entries: this.cache.size,
+      repos: Array.from(repos, ([repo, entries]) => ({ repo, entries })).sort((a, b) => b.entries - a.entries),
+      bytes,
+      hits: this.cacheStats.hits,
+      misses: this.cacheStats.misses
+    };
+  }
+
+  // Clears cached PRs and contributor histories for one repository, or everything
+  async clearCache(repoContext = null) {
+    await this.ready;
+    
+    const prPrefix = repoContext ? getPRCacheKey(repoContext, '') : '';
+    const authorPrefix = repoContext ? this.getAuthorKey(repoContext, '') : '';
+    let cleared = 0;
+    
+    Array.from(this.cache.keys()).filter(cacheKey => cacheKey.startsWith(prPrefix)).forEach(cacheKey => {
+      this.deleteCacheEntry(cacheKey);
+      cleared++;
+    });
+    Array.from(this.authorCache.keys()).filter(key => key.startsWith(authorPrefix)).forEach(key => {
+      this.authorCache.delete(key);
+    });
+    this.saveAuthorCacheToStorage();
+    
+    if (repoContext) {
+      this.updateChecks.delete(prPrefix.slice(0, -1));
+      this.badgeCounts.delete(prPrefix.slice(0, -1));
+    } else {
+      this.badgeCounts.clear();
+      // Profiles aren't tied to a repository, so only clearing everything drops them
+      this.profileCache.clear();
+      this.saveProfileCacheToStorage();
+      this.updateChecks.clear();
+      this.cacheStats = { hits: 0, misses: 0 };
+      this.scheduleCacheSave();
+    }
+    
+    this.log(`Cleared ${cleared} cached PRs${repoContext ? ' for ' + prPrefix.slice(0, -1) : ''}`);
+    return { cleared };
+  }
+
+  clearExpiredCache() {
+    const now = Date.now();
+    let deletedCount = 0;
+    
+    for (const [cacheKey, cached] of this.cache) {
+      if (now - cached.timestamp >= this.cacheExpiry && !cached.etag) {
+        this.deleteCacheEntry(cacheKey);
+        deletedCount++;
+      }
+    }
+    
+    if (deletedCount > 0) {
+      this.log(`Cleared ${deletedCount} expired cache entries`);
+    }
+  }
+}
@@ -0,0 +1,274 @@
+// GitHub PR Contributor Sorter - Sign in with GitHub
+// The OAuth settings are shared with the options page. The device flow itself
+// runs in the background service worker, so it keeps polling after the popup
+// closes while the user enters their code on GitHub.
+//
+// Progress is kept in session storage as `deviceFlow` for the popup to show:
+// { status: 'pending', userCode, verificationUri, expiresAt }, { status: 'complete' }
+// or { status: 'error', message }. A signed-in token is stored as `githubToken`,
+// like a pasted one, with its OAuth details in `githubAuth` (see token-store.js).
+//
+// Chrome stops an idle service worker, so what polling needs is kept in session
+// storage as `deviceFlowPoll`: { deviceCode, interval, expiresAt }. The device code
+// stays out of `deviceFlow`, which is only what the popup shows.
+//
+// Refreshing an expiring token sends no client secret, since an extension can't keep
+// one. GitHub's own token endpoint requires the secret for refreshes, so with it the
+// refresh fails and the user is asked to sign in again. Refreshing only works with a
+// Token URL that accepts refreshes without a secret, such as a proxy that adds it.
+
+// Every endpoint can be changed on the options page, for example to a local mock server
+const DEFAULT_OAUTH_SETTINGS = {
+  clientId: '',
+  deviceCodeUrl: 'https://github.com/login/device/code',
+  tokenUrl: 'https://github.com/login/oauth/access_token',
+  scope: 'public_repo'
+};
+
+// Refresh a little early so no request goes out with a token that's about to expire
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Wakes the service worker to poll again if Chrome stopped it during sign-in
+const DEVICE_FLOW_ALARM = 'device-flow-poll';
+
+// Chrome won't fire an alarm any sooner than this
+const MIN_ALARM_DELAY = 30 * 1000;
+
+function resolveOAuthSettings(stored) {
+  const settings = Object.assign({}, DEFAULT_OAUTH_SETTINGS);
+  
+  Object.keys(DEFAULT_OAUTH_SETTINGS).forEach(key => {
+    const value = stored && typeof stored[key] === 'string' ? stored[key].trim() : '';
+    if (value) {
+      settings[key] = value;
+    }
+  });
+  
+  return settings;
+}
+
+class GitHubAuth {
+  constructor() {
+    this.debug = true;
+    this.pollTimer = null;
+    this.polling = null; // Pending poll, so the timer and the alarm never poll at once
+    this.refreshing = null; // Pending refresh, shared by every request that needs it
+  }
+
+  log(message, ...args) {
+    if (this.debug) {
+      console.log('[PR Sorter Auth]', message, ...args);
+    }
+  }
+
+  async getSettings() {
+    const { oauthSettings } = await chrome.storage.local.get('oauthSettings');
+    return resolveOAuthSettings(oauthSettings);
+  }
+
+  async postForm(url, params) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params)
+    });
+    
+    if (!response.ok) {
+      throw new Error('GitHub sign-in error: ' + response.status + ' - ' + response.statusText);
+    }
+    
+    return response.json();
+  }
+
+  // Asks GitHub for a user code and starts polling for the user to enter it
+  async startDeviceFlow() {
+    const settings = await this.getSettings();
+    
+    if (!settings.clientId) {
+      throw new Error('No OAuth client ID is configured. Add one on the options page.');
+    }
+    
+    await this.cancelPolling();
+    
+    const data = await this.postForm(settings.deviceCodeUrl, {
+      client_id: settings.clientId,
+      scope: settings.scope
+    });
+    
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+    
+    const state = {
+      status: 'pending',
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresAt: Date.now() + data.expires_in * 1000
+    };
+    
+    await chrome.storage.session.set({ deviceFlow: state });
+    await this.schedulePoll({
+      deviceCode: data.device_code,
+      interval: data.interval || 5,
+      expiresAt: state.expiresAt
+    });
+    this.log(`Waiting for code ${state.userCode} to be entered`);
+    
+    return state;
+  }
+
+  // Polls after `interval` seconds while the worker stays awake. Each poll moves the alarm
+  // on, so it only fires when Chrome stopped the worker and the timer with it.
+  async schedulePoll(poll) {
+    await chrome.storage.session.set({ deviceFlowPoll: poll });
+    
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.pollDeviceFlow(), poll.interval * 1000);
+    chrome.alarms.create(DEVICE_FLOW_ALARM, { when: Date.now() + Math.max(poll.interval * 1000, MIN_ALARM_DELAY) });
+  }
+
+  pollDeviceFlow() {
+    if (!this.polling) {
+      this.polling = this.checkDeviceFlow().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  // Asks GitHub once whether the user has entered their code yet
+  async checkDeviceFlow() {
+    const { deviceFlowPoll: poll } = await chrome.storage.session.get('deviceFlowPoll');
+    
+    // Cancelled or finished while this poll was waiting
+    if (!poll) return;
+    
+    const { deviceCode, interval, expiresAt } = poll;
+    const settings = await this.getSettings();
+    
+    if (Date.now() >= expiresAt) {
+      await this.finishDeviceFlow({ status: 'error', message: 'The code expired. Start signing in again.' });
+      return;
+    }
+    
+    let data;
+    try {
+      data = await this.postForm(settings.tokenUrl, {
+        client_id: settings.clientId,
+        device_code: deviceCode,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+      });
+    } catch (error) {
+      // A dropped connection shouldn't end the sign-in, keep trying until the code expires
+      this.log('Polling failed, retrying:', error.message);
+      data = null;
+    }
+    
+    // Cancelled or started again while GitHub was answering
+    const { deviceFlowPoll: current } = await chrome.storage.session.get('deviceFlowPoll');
+    if (!current || current.deviceCode !== deviceCode) return;
+    
+    if (!data) {
+      await this.schedulePoll(poll);
+    } else if (data.access_token) {
+      await this.storeToken(data);
+      await this.finishDeviceFlow({ status: 'complete' });
+      this.log('Signed in with GitHub');
+    } else if (data.error === 'authorization_pending') {
+      await this.schedulePoll(poll);
+    } else if (data.error === 'slow_down') {
+      // GitHub sends the new minimum interval, which also applies to later polls
+      await this.schedulePoll(Object.assign({}, poll, { interval: data.interval || interval + 5 }));
+    } else if (data.error === 'expired_token') {
+      await this.finishDeviceFlow({ status: 'error', message: 'The code expired. Start signing in again.' });
+    } else if (data.error === 'access_denied') {
+      await this.finishDeviceFlow({ status: 'error', message: 'Sign-in was cancelled on GitHub.' });
+    } else {
+      await this.finishDeviceFlow({ status: 'error', message: data.error_description || data.error || 'Unexpected response from GitHub' });
+    }
+  }
+
+  async finishDeviceFlow(state) {
+    await this.cancelPolling();
+    await chrome.storage.session.set({ deviceFlow: state });
+  }
+
+  async cancelPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    await chrome.alarms.clear(DEVICE_FLOW_ALARM);
+    await chrome.storage.session.remove('deviceFlowPoll');
+  }
+
+  async cancelDeviceFlow() {
+    await this.cancelPolling();
+    await chrome.storage.session.remove('deviceFlow');
+  }
+
+  async storeToken(data) {
+    const now = Date.now();
+    
+    // Tokens from GitHub Apps with expiring user tokens come with a refresh token
+    await setCredentials({
+      githubToken: data.access_token,
+      githubAuth: {
+        method: 'oauth',
+        scope: data.scope || '',
+        refreshToken: data.refresh_token || null,
+        expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+        refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+      }
+    });
+  }
+
+  isExpiring(githubAuth) {
+    return !!(githubAuth && githubAuth.refreshToken && githubAuth.expiresAt &&
+              githubAuth.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN);
+  }
+
+  refreshToken() {
+    if (!this.refreshing) {
+      this.refreshing = this.exchangeRefreshToken().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  // Sent without a client secret, see the note at the top of this file
+  async exchangeRefreshToken() {
+    const settings = await this.getSettings();
+    const { githubAuth } = await getCredentials();
+    
+    if (!githubAuth || !githubAuth.refreshToken) return;
+    
+    this.log('Refreshing GitHub token');
+    const data = await this.postForm(settings.tokenUrl, {
+      client_id: settings.clientId,
+      grant_type: 'refresh_token',
+      refresh_token: githubAuth.refreshToken
+    });
+    
+    if (data.error) {
+      // The refresh token itself has expired or been revoked, only signing in again helps
+      await this.signOut();
+      await chrome.storage.session.set({
+        deviceFlow: { status: 'error', message: 'Your GitHub sign-in expired. Sign in again.' }
+      });
+      throw new Error('GitHub sign-in expired: ' + (data.error_description || data.error));
+    }
+    
+    await this.storeToken(data);
+  }
+
+  // Forgets the token locally. Revoking it needs the app's client secret, which
+  // an extension can't keep, so users can revoke it under GitHub's Applications settings.
+  async signOut() {
+    await this.cancelPolling();
+    await clearCredentials();
+    await chrome.storage.session.remove('deviceFlow');
+  }
+}
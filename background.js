@@ -1,5 +1,66 @@
 // GitHub PR Contributor Sorter - Background Service Worker
 
+importScripts('contributor-tiers.js', 'preferences.js', 'hosts.js', 'watch-list.js', 'cache-settings.js', 'token-store.js', 'auth.js', 'api-client.js');
+
+migratePlaintextCredentials();
+
+const githubAuth = new GitHubAuth();
+const apiClient = new GitHubClient(githubAuth);
+
+// Sends the result of an async handler back to the message's sender
+function respondWith(promise, sendResponse) {
+  promise.then(sendResponse, (error) => {
+    console.error('Background request failed:', error);
+    sendResponse({ error: error.message, resetAt: error.resetAt || null });
+  });
+  return true; // Will respond asynchronously
+}
+
+const ENTERPRISE_SCRIPT_ID = 'pr-sorter-enterprise-hosts';
+
+// Syncs run one after another, since unregistering and registering the same id
+// from two overlapping calls fails with a duplicate script error
+let enterpriseSyncQueue = Promise.resolve();
+
+function syncEnterpriseContentScripts() {
+  enterpriseSyncQueue = enterpriseSyncQueue
+    .then(registerEnterpriseContentScripts)
+    .catch(error => console.error('Enterprise content script sync failed:', error));
+  return enterpriseSyncQueue;
+}
+
+// Register the content script on every GitHub Enterprise host the user has granted access to
+async function registerEnterpriseContentScripts() {
+  const { enterpriseHosts = {} } = await chrome.storage.local.get('enterpriseHosts');
+  const matches = [];
+  
+  for (const host of Object.keys(enterpriseHosts)) {
+    const origin = `https://${host}/*`;
+    if (await chrome.permissions.contains({ origins: [origin] })) {
+      matches.push(origin);
+    }
+  }
+  
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [ENTERPRISE_SCRIPT_ID] });
+  }
+  
+  if (matches.length > 0) {
+    // Inject the same files the manifest injects on github.com
+    const contentScript = chrome.runtime.getManifest().content_scripts[0];
+    await chrome.scripting.registerContentScripts([{
+      id: ENTERPRISE_SCRIPT_ID,
+      matches,
+      js: contentScript.js,
+      css: contentScript.css,
+      runAt: 'document_end'
+    }]);
+  }
+  
+  console.log('Enterprise hosts with content script:', matches);
+}
+
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('GitHub PR Contributor Sorter installed');
@@ -17,6 +78,151 @@ chrome.runtime.onInstalled.addListener((details) => {
   } else if (details.reason === 'update') {
     console.log('GitHub PR Contributor Sorter updated');
   }
+  
+  syncEnterpriseContentScripts();
+  scheduleWatchList();
+});
+
+chrome.runtime.onStartup.addListener(() => syncEnterpriseContentScripts());
+chrome.runtime.onStartup.addListener(scheduleWatchList);
+chrome.permissions.onAdded.addListener(() => syncEnterpriseContentScripts());
+chrome.permissions.onRemoved.addListener(() => syncEnterpriseContentScripts());
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.enterpriseHosts) {
+    syncEnterpriseContentScripts();
+  }
+  if (areaName === 'local' && changes.watchSettings) {
+    scheduleWatchList();
+  }
+});
+
+const WATCH_ALARM = 'watch-list';
+
+// Checks the watch list every `intervalMinutes`, even when no GitHub tab is open
+async function scheduleWatchList() {
+  const { watchSettings } = await chrome.storage.local.get('watchSettings');
+  const settings = resolveWatchSettings(watchSettings);
+  
+  await chrome.alarms.clear(WATCH_ALARM);
+  if (settings.repos.length > 0) {
+    await chrome.alarms.create(WATCH_ALARM, { delayInMinutes: 1, periodInMinutes: settings.intervalMinutes });
+    console.log(`Watching ${settings.repos.length} repositories every ${settings.intervalMinutes} minutes`);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) {
+    checkWatchList().catch(error => console.error('Watch list check failed:', error));
+  }
+  if (alarm.name === DEVICE_FLOW_ALARM) {
+    githubAuth.pollDeviceFlow().catch(error => console.error('Sign-in poll failed:', error));
+  }
+});
+
+// Notifies about first-time contributor PRs that appeared since the last check, and about
+// ones still waiting for a maintainer after `slaHours`. Each PR is announced once for each.
+// `watchState.seen` remembers the open first-timer PRs by URL; `watchState.checked` the
+// repositories fully checked before, so a newly watched repository's existing PRs don't count as new.
+async function checkWatchList() {
+  const stored = await chrome.storage.local.get(['watchSettings', 'watchState', 'contributorTiers']);
+  const settings = resolveWatchSettings(stored.watchSettings);
+  const tiers = mergeContributorTiers(stored.contributorTiers);
+  const { seen = {}, checked = [] } = stored.watchState || {};
+  const nextSeen = {};
+  const nextChecked = [];
+  const failed = []; // Watched entries that couldn't be checked, as host/owner/repo
+  const reposByHost = new Map();
+  
+  settings.repos.map(parseWatchedRepo).forEach(({ host, owner, repo }) => {
+    reposByHost.set(host, (reposByHost.get(host) || []).concat(`${owner}/${repo}`));
+  });
+  
+  for (const [host, repos] of reposByHost) {
+    const hostPrefix = `https://${host}/`;
+    let result;
+    
+    try {
+      result = await apiClient.getTriagePRs({ host, repos });
+    } catch (error) {
+      console.log(`Skipping watched repositories on ${host}:`, error.message);
+      failed.push(...repos.map(repo => `${host}/${repo}`));
+    }
+    
+    if (result) {
+      failed.push(...result.failed.map(scope => `${host}/${scope.replace(/^repo:/, '')}`));
+    }
+    
+    // Without a full answer, keep what we knew so missing PRs aren't announced again later
+    if (!result || !result.complete || result.truncated.length > 0 || result.failed.length > 0) {
+      Object.keys(seen).filter(url => url.startsWith(hostPrefix)).forEach(url => {
+        nextSeen[url] = seen[url];
+      });
+      nextChecked.push(...checked.filter(repoKey => repoKey.startsWith(host + '/')));
+      if (!result) continue;
+    }
+    
+    const fresh = [];
+    const overdue = [];
+    
+    result.prs
+      .filter(pr => !isBotAuthor(pr.user) && FIRST_TIMER_ASSOCIATIONS.includes(pr.author_association))
+      .forEach(pr => {
+        const previous = seen[pr.html_url];
+        const waitingHours = (Date.now() - Date.parse(pr.created_at)) / (60 * 60 * 1000);
+        const breached = !pr.maintainer_responded && waitingHours >= settings.slaHours;
+        
+        if (!previous && checked.includes(`${host}/${pr.repo}`.toLowerCase())) {
+          fresh.push(pr);
+        }
+        if (breached && !(previous && previous.slaNotified)) {
+          overdue.push(pr);
+        }
+        nextSeen[pr.html_url] = { slaNotified: breached || !!(previous && previous.slaNotified) };
+      });
+    
+    // Only repositories whose open PRs were all seen count as checked
+    result.searched.forEach(repo => nextChecked.push(`${host}/${repo}`.toLowerCase()));
+    notifyWatchedPRs(host, 'new', fresh, tiers, settings);
+    notifyWatchedPRs(host, 'sla', overdue, tiers, settings);
+  }
+  
+  await chrome.storage.local.set({ watchState: { seen: nextSeen, checked: [...new Set(nextChecked)] } });
+  return { watched: settings.repos.length, tracked: Object.keys(nextSeen).length, failed };
+}
+
+// One notification per repository and kind. Clicking it opens the PR, or the
+// repository's pull requests when there are several.
+function notifyWatchedPRs(host, kind, prs, tiers, settings) {
+  const prsByRepo = new Map();
+  prs.forEach(pr => prsByRepo.set(pr.repo, (prsByRepo.get(pr.repo) || []).concat(pr)));
+  
+  prsByRepo.forEach((repoPRs, repo) => {
+    const title = kind === 'new'
+      ? `${repoPRs.length === 1 ? 'New PR' : repoPRs.length + ' new PRs'} from first-time contributors in ${repo}`
+      : `${repoPRs.length === 1 ? 'A first-time contributor PR has' : repoPRs.length + ' first-time contributor PRs have'} waited over ${settings.slaHours}h in ${repo}`;
+    const message = repoPRs.map(pr => {
+      const tier = getContributorTier(tiers, pr.author_association);
+      return `#${pr.number} ${pr.title} by ${pr.user ? pr.user.login : 'ghost'} (${tier.label})`;
+    }).join('\n');
+    const url = repoPRs.length === 1 ? repoPRs[0].html_url : `https://${host}/${repo}/pulls`;
+    
+    chrome.notifications.create(`watch|${kind}|${url}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title,
+      message,
+      priority: kind === 'sla' ? 2 : 0
+    });
+  });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [source, , url] = notificationId.split('|');
+  if (source !== 'watch') return;
+  
+  chrome.tabs.create({ url });
+  chrome.notifications.clear(notificationId);
 });
 
 // Handle extension icon click
@@ -26,28 +232,134 @@ chrome.action.onClicked.addListener((tab) => {
   console.log('Extension icon clicked on tab:', tab.url);
 });
 
-// Listen for tab updates to potentially refresh extension state
+// Shows the number of open PRs from first-time contributors in the tab's repository on
+// the toolbar icon. Badge text is per tab, so switching tabs shows each tab's own count.
+async function updateActionBadge(tab) {
+  const { enterpriseHosts } = await chrome.storage.local.get('enterpriseHosts');
+  let host = null;
+  try {
+    host = new URL(tab.url).hostname;
+  } catch (error) {
+    // Tabs without a URL we can read, such as chrome:// pages
+  }
+  
+  const repoFullName = host && isSupportedHost(host, enterpriseHosts) ? getRepoFullNameFromUrl(tab.url) : null;
+  let count = null;
+  
+  if (repoFullName) {
+    const [owner, repo] = repoFullName.split('/');
+    try {
+      ({ count } = await apiClient.getFirstTimerCount({ host, owner, repo }));
+    } catch (error) {
+      console.log('Could not count first-timer PRs:', error.message);
+    }
+  }
+  
+  try {
+    // The tab may have moved on to another repository while we were counting
+    const current = await chrome.tabs.get(tab.id);
+    if (current.url !== tab.url) return;
+    
+    await chrome.action.setBadgeText({ tabId: tab.id, text: !count ? '' : count > 999 ? '999+' : String(count) });
+    await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: DEFAULT_CONTRIBUTOR_TIERS.FIRST_TIMER.color });
+    await chrome.action.setTitle({
+      tabId: tab.id,
+      title: count ? `GitHub PR Contributor Sorter: ${count} open PRs from first-time contributors in ${repoFullName}` : 'GitHub PR Contributor Sorter'
+    });
+  } catch (error) {
+    // The tab was closed
+  }
+}
+
+// Refresh the badge as tabs move between repositories, including GitHub's in-page navigation
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url && tab.url.includes('github.com/')) {
-    // Could send messages to content script here if needed
-    console.log('GitHub page loaded:', tab.url);
+  if (changeInfo.url) {
+    updateActionBadge(tab);
   }
 });
 
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(updateActionBadge, () => {});
+});
+
+// Keyboard shortcuts (the manifest's "commands") act on the PR list in the active tab
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || !tab.id) return;
+  
+  chrome.tabs.sendMessage(tab.id, { type: 'RUN_COMMAND', command }, (response) => {
+    // Only GitHub tabs have the content script listening
+    if (chrome.runtime.lastError) {
+      console.log(`Ignoring ${command}, no pull requests page in this tab`);
+    } else if (response && !response.success) {
+      console.log(`${command}: ${response.message}`);
+    }
+  });
+});
+
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'GET_SORT_PREFERENCE':
-      chrome.storage.local.get('prSortOrder', (result) => {
-        sendResponse({ sortOrder: result.prSortOrder || 'default' });
+      // Falls back from the repo to its owner's wildcard to the global value
+      chrome.storage.local.get(PREFERENCE_STORAGE_KEYS, (result) => {
+        const preferences = resolvePreferences(result, message.repo);
+        sendResponse({ sortOrder: preferences.sortOrder || 'default', preferences });
       });
       return true; // Will respond asynchronously
       
-    case 'SET_SORT_PREFERENCE':
-      chrome.storage.local.set({ prSortOrder: message.sortOrder }, () => {
+    case 'SET_SORT_PREFERENCE': {
+      const preferences = message.preferences || { sortOrder: message.sortOrder };
+      writePreferences(message.scope || 'global', preferences).then(() => {
         sendResponse({ success: true });
       });
       return true; // Will respond asynchronously
+    }
+      
+    case 'CLEAR_SORT_PREFERENCE':
+      clearPreferences(message.scope).then(() => {
+        sendResponse({ success: true });
+      });
+      return true; // Will respond asynchronously
+      
+    case 'GET_PR_METADATA':
+      return respondWith(apiClient.getPRMetadata(message), sendResponse);
+      
+    case 'SEARCH_PRS':
+      return respondWith(apiClient.searchPRs(message), sendResponse);
+      
+    case 'GET_AUTHOR_HISTORY':
+      return respondWith(apiClient.getAuthorHistory(message), sendResponse);
+      
+    case 'GET_CONTRIBUTOR_PROFILE':
+      return respondWith(apiClient.getContributorProfile(message), sendResponse);
+      
+    case 'GET_TRIAGE_PRS':
+      return respondWith(apiClient.getTriagePRs(message), sendResponse);
+      
+    case 'CHECK_WATCH_LIST':
+      return respondWith(checkWatchList(), sendResponse);
+      
+    case 'START_SIGN_IN':
+      return respondWith(githubAuth.startDeviceFlow(), sendResponse);
+      
+    case 'CANCEL_SIGN_IN':
+      return respondWith(githubAuth.cancelDeviceFlow().then(() => ({ success: true })), sendResponse);
+      
+    case 'SIGN_OUT':
+      return respondWith(githubAuth.signOut().then(() => ({ success: true })), sendResponse);
+      
+    case 'VALIDATE_TOKEN':
+      return respondWith(apiClient.inspectToken(message), sendResponse);
+      
+    case 'GET_CACHE_STATS':
+      return respondWith(apiClient.getCacheStats(), sendResponse);
+      
+    case 'CLEAR_CACHE':
+      return respondWith(apiClient.clearCache(message.repo || null), sendResponse);
+      
+    case 'GET_RATE_LIMIT':
+      sendResponse({ rateLimits: apiClient.getRateLimitStatus(message.host || GITHUB_HOST) });
+      break;
       
     case 'LOG_ERROR':
       console.error('Content script error:', message.error);
@@ -0,0 +1,22 @@
+// GitHub PR Contributor Sorter - Cache Settings
+// Shared by the options page and the background API client.
+// Stored as `cacheSettings`: { ttlMinutes: 30, maxEntries: 500 }
+
+const DEFAULT_CACHE_SETTINGS = {
+  ttlMinutes: 30,
+  maxEntries: 500
+};
+
+// Fills in defaults and ignores values that aren't positive whole numbers
+function resolveCacheSettings(stored) {
+  const settings = Object.assign({}, DEFAULT_CACHE_SETTINGS);
+  
+  Object.keys(DEFAULT_CACHE_SETTINGS).forEach(key => {
+    const value = stored && stored[key];
+    if (Number.isInteger(value) && value > 0) {
+      settings[key] = value;
+    }
+  });
+  
+  return settings;
+}
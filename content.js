@@ -1,13 +1,57 @@
 // GitHub PR Contributor Sorter - Content Script (Clean Version)
+
+// Each filter mode decides whether a PR with known data stays visible.
+// Bots never count as new contributors.
+const FILTER_MODES = {
+  'all': () => true,
+  'first-time': data => !isBotAuthor(data.user) && FIRST_TIMER_ASSOCIATIONS.includes(data.author_association),
+  'new': data => !isBotAuthor(data.user) && NEW_CONTRIBUTOR_ASSOCIATIONS.includes(data.author_association),
+  'hide-members': data => !MAINTAINER_ASSOCIATIONS.includes(data.author_association)
+};
+
+const FILTER_LABELS = {
+  'all': 'All PRs',
+  'first-time': 'First-time contributors',
+  'new': 'New contributors',
+  'hide-members': 'Hide members'
+};
+
+// Labels for the in-page toolbar, in the order the keyboard shortcut cycles through them
+const SORT_MODES = {
+  'default': 'Default',
+  'new-first': 'New First',
+  'existing-first': 'Existing First',
+  'custom': 'Custom'
+};
+
 class PRSorter {
   constructor() {
     this.prData = new Map();
     this.sortOrder = 'default';
+    this.sortChain = DEFAULT_SORT_CHAIN;
+    this.filterMode = 'all';
+    this.collapseFiltered = false;
+    this.botHandling = 'bottom'; // 'bottom' or 'hide'
+    this.allPages = false; // The popup's "Sort across all pages" setting, also used by the toolbar
+    this.progress = null; // What's being loaded right now, shown in the page's sort menu
+    this.preferenceScope = 'global'; // 'global', 'owner/*' or 'owner/repo'
+    this.currentRepo = null;
+    this.isApplying = false;
+    this.observer = null;
+    this.currentUrl = null; // The URL the observer last saw, see checkPageChanges
+    this.autoApplyTimer = null;
+    this.resumeTimer = null;
+    this.resumeAt = null; // When a rate-limited fetch will pick up the remaining PRs
     this.isLoading = false;
     this.debug = true;
-    this.githubToken = null;
-    this.cache = new Map(); // In-memory cache
-    this.cacheExpiry = 30 * 60 * 1000; // 30 minutes
+    this.host = window.location.hostname;
+    this.authorHistory = new Map(); // Contributor history for the current repo, keyed by login
+    this.profiles = new Map(); // Login -> profile request for the hover cards, made on first hover
+    this.hoverCard = null;
+    this.hoverCardTimer = null;
+    this.sortMenu = null; // GitHub's own Sort menu, found by findSortMenu
+    this.contributorTiers = mergeContributorTiers();
+    this.annotationFields = resolveAnnotationFields();
     this.init();
   }
 
@@ -20,8 +64,13 @@ class PRSorter {
   async init() {
     this.log('Initializing PR Sorter on:', window.location.href);
     await this.loadSettings();
+    this.currentRepo = this.getRepoFullName();
+    this.ensurePageControls();
+    this.setupMenuDismissal();
     this.observePageChanges();
+    this.watchSettingChanges();
     this.setupMessageListener();
+    this.scheduleAutoApply();
   }
 
   setupMessageListener() {
@@ -30,19 +79,273 @@ class PRSorter {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       this.log('Received message:', message);
       
+      if (message.preferenceScope && getPreferenceScopes(this.getRepoFullName()).includes(message.preferenceScope)) {
+        this.preferenceScope = message.preferenceScope;
+      }
+      
       if (message.type === 'SORT_PRS') {
-        this.handleSortRequest(message.sortOrder, sendResponse);
+        if (message.sortChain) {
+          this.sortChain = message.sortChain;
+        }
+        this.runApplying(() => this.handleSortRequest(message.sortOrder, sendResponse, message.allPages))
+          .then(() => this.updatePageControls());
+        return true; // Will respond asynchronously
+      }
+      
+      if (message.type === 'FILTER_PRS') {
+        if (message.botHandling) {
+          this.botHandling = message.botHandling;
+        }
+        this.runApplying(() => this.handleFilterRequest(message.filterMode, message.collapse, sendResponse))
+          .then(() => this.updatePageControls());
+        return true; // Will respond asynchronously
+      }
+      
+      if (message.type === 'REFRESH_PRS') {
+        this.runApplying(() => this.handleRefreshRequest(sendResponse));
+        return true; // Will respond asynchronously
+      }
+      
+      if (message.type === 'RUN_COMMAND') {
+        this.handleCommand(message.command, sendResponse);
         return true; // Will respond asynchronously
       }
     });
   }
 
-  async handleSortRequest(sortOrder, sendResponse) {
+  // Keyboard shortcuts step to the next sort or filter mode, wrapping around. The sort
+  // shortcut skips Default, which resets the list rather than sorting it.
+  handleCommand(command, sendResponse) {
+    const next = (modes, current) => modes[(modes.indexOf(current) + 1) % modes.length];
+    
+    if (command === 'cycle-sort') {
+      const sortModes = Object.keys(SORT_MODES).filter(mode => mode !== 'default');
+      this.setSortOrder(next(sortModes, this.sortOrder), sendResponse);
+    } else if (command === 'cycle-filter') {
+      this.setFilterMode(next(Object.keys(FILTER_MODES), this.filterMode), sendResponse);
+    } else {
+      sendResponse({ success: false, message: 'Unknown command: ' + command });
+    }
+  }
+
+  // Applies a sort from the page itself (toolbar or shortcut) and reports back on the toolbar
+  setSortOrder(sortOrder, sendResponse = () => {}) {
+    this.showToolbarStatus('Sorting…', 'loading');
+    return this.runApplying(() => this.handleSortRequest(sortOrder, response => {
+      this.showToolbarStatus(response.message, response.success ? 'success' : 'error');
+      sendResponse(response);
+    }, this.allPages)).then(() => this.updatePageControls());
+  }
+
+  setFilterMode(filterMode, sendResponse = () => {}) {
+    this.showToolbarStatus('Filtering…', 'loading');
+    return this.runApplying(() => this.handleFilterRequest(filterMode, this.collapseFiltered, response => {
+      this.showToolbarStatus(response.message, response.success ? 'success' : 'error');
+      sendResponse(response);
+    })).then(() => this.updatePageControls());
+  }
+
+  // Runs on every mutation batch, so it returns early unless a control is missing
+  ensurePageControls() {
+    if (!this.isPullRequestsPage()) return;
+    this.ensureToolbar();
+    this.ensureSortMenu();
+  }
+
+  // The popup's filter menu, above the PR list. GitHub re-renders the list as you
+  // navigate, so the observer puts the toolbar back when it goes missing.
+  ensureToolbar() {
+    if (document.querySelector('.pr-sorter-toolbar')) return;
+    
+    const prContainer = this.findPRContainer();
+    if (!prContainer) return;
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'pr-sorter-controls pr-sorter-toolbar';
+    
+    const filterHeader = document.createElement('span');
+    filterHeader.className = 'pr-sorter-header';
+    filterHeader.innerHTML = '<span class="pr-sorter-icon">👥</span>Show:';
+    toolbar.appendChild(filterHeader);
+    
+    const select = document.createElement('select');
+    select.className = 'pr-sorter-filter-select';
+    Object.keys(FILTER_MODES).forEach(filterMode => {
+      const option = document.createElement('option');
+      option.value = filterMode;
+      option.textContent = FILTER_LABELS[filterMode];
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => this.setFilterMode(select.value));
+    toolbar.appendChild(select);
+    
+    const status = document.createElement('span');
+    status.className = 'pr-sorter-status';
+    toolbar.appendChild(status);
+    
+    prContainer.parentElement.insertBefore(toolbar, prContainer);
+    this.updatePageControls();
+  }
+
+  // GitHub's own "Sort" menu: a <details> in the classic list header, a button in the newer list.
+  // The element found is kept for as long as it's on the page.
+  findSortMenu() {
+    if (this.sortMenu && this.sortMenu.isConnected) return this.sortMenu;
+    
+    const classic = document.querySelector('#sort-select-menu');
+    const toggle = classic || Array.from(document.querySelectorAll('summary, button'))
+      .find(el => !el.closest('.pr-sorter-menu, .pr-sorter-toolbar') && /^Sort(\s|$)/.test(el.textContent.trim()));
+    
+    this.sortMenu = toggle ? toggle.closest('details') || toggle : null;
+    return this.sortMenu;
+  }
+
+  // The contributor sorts, what's loading and the rate limit, in a dropdown beside GitHub's
+  // Sort menu. Pages without a Sort menu get it at the start of the toolbar instead.
+  // Only looked for once the toolbar is in, as GitHub renders the list header with the list.
+  ensureSortMenu() {
+    const toolbar = document.querySelector('.pr-sorter-toolbar');
+    if (!toolbar || document.querySelector('.pr-sorter-menu')) return;
+    
+    const sortMenu = this.findSortMenu();
+    
+    const menu = document.createElement('details');
+    menu.className = 'pr-sorter-menu';
+    
+    const summary = document.createElement('summary');
+    summary.className = 'pr-sorter-menu-button';
+    summary.setAttribute('aria-haspopup', 'menu');
+    menu.appendChild(summary);
+    
+    const modal = document.createElement('div');
+    modal.className = 'pr-sorter-menu-modal';
+    modal.setAttribute('role', 'menu');
+    
+    const title = document.createElement('div');
+    title.className = 'pr-sorter-menu-title';
+    title.textContent = 'Sort by contributor';
+    modal.appendChild(title);
+    
+    Object.keys(SORT_MODES).forEach(sortOrder => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'pr-sorter-menu-item';
+      item.setAttribute('role', 'menuitemradio');
+      item.dataset.sortOrder = sortOrder;
+      item.textContent = SORT_MODES[sortOrder];
+      item.addEventListener('click', () => {
+        menu.open = false;
+        this.setSortOrder(sortOrder);
+      });
+      modal.appendChild(item);
+    });
+    
+    const progress = document.createElement('div');
+    progress.className = 'pr-sorter-menu-footer pr-sorter-menu-progress';
+    modal.appendChild(progress);
+    
+    const rateLimit = document.createElement('div');
+    rateLimit.className = 'pr-sorter-menu-footer pr-sorter-menu-rate-limit';
+    modal.appendChild(rateLimit);
+    
+    menu.appendChild(modal);
+    menu.addEventListener('toggle', () => {
+      if (menu.open) this.updateRateLimitState();
+    });
+    
+    if (sortMenu) {
+      sortMenu.parentElement.insertBefore(menu, sortMenu.nextSibling);
+    } else {
+      toolbar.insertBefore(menu, toolbar.firstChild);
+    }
+    this.updatePageControls();
+  }
+
+  // GitHub closes its own menus on outside clicks and Escape, ours needs the same
+  setupMenuDismissal() {
+    const closeMenus = (target) => {
+      document.querySelectorAll('.pr-sorter-menu[open]').forEach(menu => {
+        if (!target || !menu.contains(target)) menu.open = false;
+      });
+    };
+    document.addEventListener('click', (e) => closeMenus(e.target));
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeMenus(null);
+    });
+  }
+
+  updatePageControls() {
+    document.querySelectorAll('.pr-sorter-toolbar select').forEach(select => {
+      select.value = this.filterMode;
+    });
+    
+    document.querySelectorAll('.pr-sorter-menu-item').forEach(item => {
+      item.setAttribute('aria-checked', String(item.dataset.sortOrder === this.sortOrder));
+    });
+    document.querySelectorAll('.pr-sorter-menu-button').forEach(summary => {
+      const label = this.sortOrder === 'default' ? 'Contributors' : `Contributors: ${SORT_MODES[this.sortOrder]}`;
+      summary.textContent = this.progress ? label + ' …' : label;
+    });
+    document.querySelectorAll('.pr-sorter-menu').forEach(menu => {
+      menu.classList.toggle('is-busy', !!this.progress);
+    });
+    document.querySelectorAll('.pr-sorter-menu-progress').forEach(progress => {
+      progress.textContent = this.progress ||
+        (this.resumeAt ? `⏳ Rate limited, the rest load at ${this.formatTime(this.resumeAt)}` : '');
+      progress.hidden = !progress.textContent;
+    });
+  }
+
+  setProgress(message) {
+    this.progress = message;
+    this.updatePageControls();
+  }
+
+  async updateRateLimitState() {
+    const resourceLabels = { core: 'REST', search: 'Search', graphql: 'GraphQL' };
+    let text;
+    
+    try {
+      const { rateLimits } = await this.sendToBackground({ type: 'GET_RATE_LIMIT', host: this.host });
+      const resources = Object.keys(rateLimits);
+      const exhausted = resources.find(resource => rateLimits[resource].exhausted);
+      
+      if (resources.length === 0) {
+        text = 'API: no requests yet';
+      } else if (exhausted) {
+        text = `⏳ ${resourceLabels[exhausted]} limit reached, resets at ${this.formatTime(rateLimits[exhausted].resetAt)}`;
+      } else {
+        text = 'API: ' + resources.map(resource => {
+          const { remaining, limit } = rateLimits[resource];
+          return `${resourceLabels[resource]} ${remaining}/${limit}`;
+        }).join(' · ');
+      }
+    } catch (error) {
+      text = 'API: rate limit unknown';
+    }
+    
+    document.querySelectorAll('.pr-sorter-menu-rate-limit').forEach(el => {
+      el.textContent = text;
+    });
+  }
+
+  showToolbarStatus(message, type) {
+    document.querySelectorAll('.pr-sorter-toolbar .pr-sorter-status').forEach(status => {
+      status.className = 'pr-sorter-status ' + type;
+      status.textContent = message;
+    });
+  }
+
+  isPullRequestsPage() {
+    return /^\/[^/]+\/[^/]+\/pulls\/?$/.test(window.location.pathname);
+  }
+
+  async handleSortRequest(sortOrder, sendResponse, allPages = false) {
     try {
       this.log('Processing sort request:', sortOrder);
       
       // Check if we're on a valid page
-      if (!window.location.href.includes('github.com') || !window.location.href.includes('/pulls')) {
+      if (!this.isPullRequestsPage()) {
         sendResponse({ 
           success: false, 
           message: 'Not on a GitHub pull requests page' 
@@ -62,14 +365,31 @@ class PRSorter {
         return;
       }
 
+      const sortLabel = this.getSortLabel();
+
+      if (allPages) {
+        const { sorted, total, complete, truncated } = await this.sortAllPages();
+        let message = `Sorted ${sorted} PRs across all pages by ${sortLabel}!`;
+        
+        if (!complete) {
+          message = `Rate limit reached: sorted ${sorted} of ${total} PRs by ${sortLabel}. The rest will load automatically at ${this.formatTime(this.resumeAt)}.`;
+        } else if (truncated) {
+          message = `Sorted ${sorted} of ${total} PRs by ${sortLabel}. GitHub search returns at most 1,000 results, narrow the search to sort the rest.`;
+        }
+        sendResponse({ success: true, message });
+        return;
+      }
+
       // Fetch PR data and apply sorting
       await this.fetchPRData();
+      await this.fetchAuthorHistory(Array.from(this.prData.values()));
       this.applySorting();
       
-      const sortLabel = sortOrder === 'new-first' ? 'new contributors' : 'existing contributors';
       sendResponse({ 
         success: true, 
-        message: `Sorted by ${sortLabel} successfully!` 
+        message: this.resumeAt
+          ? `Rate limit reached: sorted the PRs loaded so far by ${sortLabel}. The rest will load automatically at ${this.formatTime(this.resumeAt)}.`
+          : `Sorted by ${sortLabel} successfully!` 
       });
 
     } catch (error) {
@@ -81,205 +401,404 @@ class PRSorter {
     }
   }
 
+  async handleFilterRequest(filterMode, collapse, sendResponse) {
+    try {
+      this.log('Processing filter request:', filterMode);
+      
+      if (!this.isPullRequestsPage()) {
+        sendResponse({ 
+          success: false, 
+          message: 'Not on a GitHub pull requests page' 
+        });
+        return;
+      }
+      
+      this.filterMode = FILTER_MODES[filterMode] ? filterMode : 'all';
+      this.collapseFiltered = !!collapse;
+      this.saveFilterPreference();
+      
+      // The merged list already has data for every row it shows
+      if (this.isFiltering() && !document.querySelector('.pr-sorter-merged-list')) {
+        await this.fetchPRData();
+      }
+      
+      const { shown, total } = this.applyFilter();
+      this.addContributorBadges();
+      
+      sendResponse({ 
+        success: true, 
+        message: this.isFiltering() ? `Showing ${shown} of ${total} PRs` : 'Showing all PRs'
+      });
+    } catch (error) {
+      this.log('Error in handleFilterRequest:', error);
+      sendResponse({ 
+        success: false, 
+        message: 'Error filtering PRs: ' + error.message 
+      });
+    }
+  }
 
 
-  async fetchPRData() {
-    // Clean expired cache first
-    this.clearExpiredCache();
-    
+
+  // Drops what this tab knows and fetches everything again, skipping the shared cache
+  async handleRefreshRequest(sendResponse) {
+    try {
+      this.log('Processing refresh request');
+      
+      if (!this.isPullRequestsPage()) {
+        sendResponse({ 
+          success: false, 
+          message: 'Not on a GitHub pull requests page' 
+        });
+        return;
+      }
+      
+      this.prData.clear();
+      this.authorHistory.clear();
+      
+      if (document.querySelector('.pr-sorter-merged-list')) {
+        await this.sortAllPages({ bypassCache: true });
+      } else {
+        await this.applyCurrentMode({ bypassCache: true });
+      }
+      
+      sendResponse({ 
+        success: true, 
+        message: `Refreshed ${this.prData.size} PRs from GitHub`
+      });
+    } catch (error) {
+      this.log('Error in handleRefreshRequest:', error);
+      sendResponse({ 
+        success: false, 
+        message: 'Error refreshing PRs: ' + error.message 
+      });
+    }
+  }
+
+  getSortLabel() {
+    const sortLabels = {
+      'new-first': 'new contributors',
+      'existing-first': 'existing contributors',
+      'custom': 'your custom sort chain'
+    };
+    return sortLabels[this.sortOrder] || this.sortOrder;
+  }
+
+  // All GitHub API traffic goes through the background service worker
+  sendToBackground(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error('No response from the background service worker'));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  getRepoContext() {
+    return Object.assign({ host: this.host }, this.getRepoInfo());
+  }
+
+  async fetchPRData({ bypassCache = false } = {}) {
     const prElements = document.querySelectorAll('a[href*="/pull/"]');
     
-    // With token, we can fetch more PRs; without token, limit to 10
-    const maxPRs = this.githubToken ? 50 : 10;
-    const limitedElements = Array.from(prElements).slice(0, maxPRs);
-    
-    this.log(`Processing ${limitedElements.length} PRs (${this.githubToken ? 'authenticated' : 'rate limited'})`);
-    
     // Extract PR numbers and check what we need to fetch
-    const allPRNumbers = limitedElements
+    const allPRNumbers = [...new Set(Array.from(prElements)
       .map(el => this.extractPRNumber(el))
-      .filter(num => num);
-    
-    // Load cached data first
-    for (const prNumber of allPRNumbers) {
-      if (!this.prData.has(prNumber)) {
-        const cached = this.getFromCache(prNumber);
-        if (cached) {
-          this.prData.set(prNumber, cached);
-        }
-      }
-    }
+      .filter(num => num))];
     
-    // Determine what still needs to be fetched
-    const prNumbersToFetch = allPRNumbers.filter(num => !this.prData.has(num));
+    const repoContext = this.getRepoContext();
+    const prNumbersToFetch = allPRNumbers.filter(num => !this.prData.has(getPRCacheKey(repoContext, num)));
     
     if (prNumbersToFetch.length === 0) {
-      this.log('All PR data available from cache');
+      this.log('All PR data already loaded');
+      this.cancelResume();
       return;
     }
     
-    this.log(`Fetching ${prNumbersToFetch.length} new PRs from API`);
+    this.log(`Requesting ${prNumbersToFetch.length} PRs from the background`);
+    this.setProgress(`Loading ${prNumbersToFetch.length} PRs…`);
+    
+    let response;
+    try {
+      response = await this.sendToBackground(Object.assign({
+        type: 'GET_PR_METADATA',
+        numbers: prNumbersToFetch,
+        bypassCache
+      }, repoContext));
+    } finally {
+      this.setProgress(null);
+    }
+    
+    // Keyed by the repo we asked about, in case the page moved on while we waited
+    Object.keys(response.prs).forEach(prNumber => {
+      this.prData.set(getPRCacheKey(repoContext, prNumber), response.prs[prNumber]);
+    });
+    
+    if (response.rateLimited) {
+      this.scheduleResume(response.rateLimited.resetAt, false);
+    } else {
+      this.cancelResume();
+    }
+    this.updatePageControls();
+    this.updateRateLimitState();
+  }
+
+  // Picks up the PRs a rate limit left out once the limit resets
+  scheduleResume(resetAt, allPages) {
+    clearTimeout(this.resumeTimer);
+    this.resumeAt = resetAt;
+    
+    const delay = Math.max(resetAt - Date.now(), 0) + 1000;
+    this.log(`⏳ Rate limited. Resuming at ${this.formatTime(resetAt)}`);
+    
+    this.resumeTimer = setTimeout(() => {
+      this.resumeAt = null;
+      this.resumeSorting(allPages);
+    }, delay);
+  }
+
+  cancelResume() {
+    clearTimeout(this.resumeTimer);
+    this.resumeAt = null;
+  }
+
+  async resumeSorting(allPages) {
+    if (!this.isPullRequestsPage() || (this.sortOrder === 'default' && !this.isFiltering())) return;
     
-    // Use GraphQL for batch fetching if we have a token, otherwise use REST API
-    if (this.githubToken && prNumbersToFetch.length > 3) {
+    this.log('Resuming after rate limit reset');
+    
+    await this.runApplying(async () => {
       try {
-        await this.fetchPRDataGraphQL(prNumbersToFetch);
+        if (allPages) {
+          await this.sortAllPages();
+        } else {
+          await this.applyCurrentMode();
+        }
       } catch (error) {
-        this.log('GraphQL failed, falling back to REST API:', error.message);
-        await this.fetchPRDataREST(prNumbersToFetch);
+        this.log('Resume failed:', error.message);
       }
-    } else {
-      await this.fetchPRDataREST(prNumbersToFetch);
-    }
+    });
   }
 
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // Only links to this repository's PRs count, the list can also link to PRs elsewhere
   extractPRNumber(prElement) {
     if (prElement && prElement.href) {
-      const match = prElement.href.match(/\/pull\/(\d+)/);
-      if (match) return parseInt(match[1]);
+      const { owner, repo } = this.getRepoInfo();
+      const url = new URL(prElement.href);
+      const match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+      
+      if (match && url.hostname === this.host &&
+          `${match[1]}/${match[2]}`.toLowerCase() === `${owner}/${repo}`.toLowerCase()) {
+        return parseInt(match[3]);
+      }
     }
     return null;
   }
 
-  async fetchPRDataREST(prNumbers) {
-    for (const prNumber of prNumbers) {
-      try {
-        // Check cache first
-        const cached = this.getFromCache(prNumber);
-        if (cached) {
-          this.prData.set(prNumber, cached);
-          continue;
-        }
-        
-        const prData = await this.fetchPRDetails(prNumber);
-        this.prData.set(prNumber, prData);
-        this.setCache(prNumber, prData);
-        
-        // Delay between requests if no token
-        if (!this.githubToken) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      } catch (error) {
-        this.log('Failed to fetch data for PR #' + prNumber + ':', error.message);
-        
-        // If we get rate limited, stop trying
-        if (error.message.includes('403')) {
-          this.log('⚠️ Hit GitHub rate limit. Stopping API requests.');
-          throw new Error('GitHub API rate limit exceeded. Please add a GitHub token for unlimited requests.');
-        }
-      }
+  getPRData(prNumber) {
+    return prNumber ? this.prData.get(getPRCacheKey(this.getRepoContext(), prNumber)) : undefined;
+  }
+
+  getAuthorHistory(login) {
+    return (login && this.authorHistory.get(login)) || null;
+  }
+
+  async fetchAuthorHistory(prs, { bypassCache = false } = {}) {
+    const logins = [...new Set(prs.filter(pr => !isBotAuthor(pr.user)).map(pr => pr.user && pr.user.login))]
+      .filter(login => login && !this.authorHistory.has(login));
+    
+    if (logins.length === 0) return;
+    
+    try {
+      const response = await this.sendToBackground(Object.assign({
+        type: 'GET_AUTHOR_HISTORY',
+        logins,
+        bypassCache
+      }, this.getRepoContext()));
+      
+      Object.keys(response.history).forEach(login => {
+        this.authorHistory.set(login, response.history[login]);
+      });
+    } catch (error) {
+      this.log('Failed to fetch contributor history:', error.message);
     }
   }
-  
-  async fetchPRDataGraphQL(prNumbers) {
+
+  getRepoInfo() {
     const pathParts = window.location.pathname.split('/');
-    const owner = pathParts[1];
-    const repo = pathParts[2];
-    
-    // Build GraphQL query for multiple PRs
-    const queries = prNumbers.map((prNumber, index) => {
-      return `
-        pr${index}: pullRequest(number: ${prNumber}) {
-          number
-          authorAssociation
-          createdAt
-          author {
-            login
-            ... on User {
-              id
-            }
-          }
-        }`;
-    }).join('');
+    return { owner: pathParts[1], repo: pathParts[2] };
+  }
+
+  // Builds a search query from the list's `q` parameter, pinned to the current repo
+  buildSearchQuery() {
+    const { owner, repo } = this.getRepoInfo();
+    const params = new URLSearchParams(window.location.search);
+    let query = (params.get('q') || 'is:pr is:open').replace(/(^|\s)repo:\S+/g, ' ').trim();
     
-    const query = `
-      query GetPullRequests {
-        repository(owner: "${owner}", name: "${repo}") {
-          ${queries}
-        }
-      }`;
-    
-    const response = await fetch('https://api.github.com/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.githubToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'PR-Contributor-Sorter/2.0'
-      },
-      body: JSON.stringify({ query })
-    });
+    if (!/(^|\s)(is|type):pr(\s|$)/.test(query)) {
+      query = 'is:pr ' + query;
+    }
+    
+    return `repo:${owner}/${repo} ${query}`.trim();
+  }
+
+  async sortAllPages(options = {}) {
+    this.setProgress('Loading every matching PR…');
     
-    if (!response.ok) {
-      throw new Error(`GraphQL API error: ${response.status} - ${response.statusText}`);
+    let search;
+    try {
+      search = await this.sendToBackground({
+        type: 'SEARCH_PRS',
+        host: this.host,
+        searchQuery: this.buildSearchQuery()
+      });
+      this.setProgress(`Loading history for the authors of ${search.prs.length} PRs…`);
+      await this.fetchAuthorHistory(search.prs, options);
+    } finally {
+      this.setProgress(null);
     }
     
-    const result = await response.json();
+    const { prs, total, complete, truncated, resetAt } = search;
     
-    if (result.errors) {
-      throw new Error('GraphQL errors: ' + JSON.stringify(result.errors));
+    if (!complete) {
+      this.scheduleResume(resetAt, true);
     }
+    this.updateRateLimitState();
     
-    // Process the results
-    const repository = result.data.repository;
-    prNumbers.forEach((prNumber, index) => {
-      const prData = repository[`pr${index}`];
-      if (prData) {
-        const processedData = {
-          number: prData.number,
-          author_association: prData.authorAssociation,
-          created_at: prData.createdAt,
-          user: prData.author
-        };
-        this.prData.set(prNumber, processedData);
-        this.setCache(prNumber, processedData);
-      }
-    });
+    const repoContext = this.getRepoContext();
+    prs.forEach(pr => this.prData.set(getPRCacheKey(repoContext, pr.number), pr));
+    
+    // Array.prototype.sort is stable, so ties keep GitHub's order
+    const sortedPRs = prs.slice().sort((a, b) => this.comparePRs(a, b));
+    this.renderMergedList(sortedPRs);
     
-    this.log(`Fetched ${prNumbers.length} PRs via GraphQL`);
+    return { sorted: sortedPRs.length, total: Math.max(total, prs.length), complete, truncated: !!truncated };
   }
-  
-  async fetchPRDetails(prNumber) {
-    const pathParts = window.location.pathname.split('/');
-    const owner = pathParts[1];
-    const repo = pathParts[2];
+
+  renderMergedList(prs) {
+    const prContainer = this.findPRContainer();
     
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'PR-Contributor-Sorter/2.0'
-    };
+    if (!prContainer) {
+      this.log('❌ Could not find PR container for merged list');
+      return;
+    }
+    
+    this.removeMergedList();
+    
+    const list = document.createElement('div');
+    list.className = 'pr-sorter-merged-list';
+    prs.forEach(pr => list.appendChild(this.createMergedRow(pr)));
     
-    if (this.githubToken) {
-      headers['Authorization'] = `Bearer ${this.githubToken}`;
+    // Hide the current page and its pagination, the merged list replaces both
+    prContainer.classList.add('pr-sorter-replaced');
+    document.querySelectorAll('.paginate-container').forEach(el => el.classList.add('pr-sorter-replaced'));
+    prContainer.parentElement.insertBefore(list, prContainer.nextSibling);
+    
+    this.addContributorBadges();
+    if (this.isFiltering()) {
+      this.applyFilter();
     }
+    this.log(`Rendered merged list of ${prs.length} PRs`);
+  }
+
+  createMergedRow(pr) {
+    const row = document.createElement('div');
+    row.className = 'Box-row js-issue-row pr-sorter-merged-row';
+    row.setAttribute('data-pr-sorter-applied', ''); // Built already sorted and badged
+    
+    const titleLine = document.createElement('div');
+    const link = document.createElement('a');
+    link.className = 'Link--primary markdown-title pr-sorter-merged-title';
+    link.href = pr.html_url;
+    link.textContent = pr.title;
+    titleLine.appendChild(link);
+    
+    const meta = document.createElement('div');
+    meta.className = 'pr-sorter-merged-meta';
+    const author = pr.user ? pr.user.login : 'ghost';
+    meta.textContent = `#${pr.number} opened ${new Date(pr.created_at).toLocaleDateString()} by ${author}`;
     
-    const response = await fetch('https://api.github.com/repos/' + owner + '/' + repo + '/pulls/' + prNumber, {
-      headers
+    row.appendChild(titleLine);
+    row.appendChild(meta);
+    return row;
+  }
+
+  removeMergedList() {
+    document.querySelectorAll('.pr-sorter-merged-list').forEach(el => el.remove());
+    document.querySelectorAll('.pr-sorter-replaced').forEach(el => el.classList.remove('pr-sorter-replaced'));
+  }
+
+  getActiveRows() {
+    const root = document.querySelector('.pr-sorter-merged-list') || this.findPRContainer();
+    return root ? Array.from(root.querySelectorAll('.js-navigation-item, .js-issue-row')) : [];
+  }
+
+  isFiltering() {
+    return this.filterMode !== 'all' || this.botHandling === 'hide';
+  }
+
+  applyFilter() {
+    const matches = FILTER_MODES[this.filterMode] || FILTER_MODES.all;
+    const rows = this.getActiveRows();
+    let shown = 0;
+    
+    rows.forEach(row => {
+      const data = this.getPRData(this.extractPRNumber(row.querySelector('a[href*="/pull/"]')));
+      const hiddenBot = !!data && this.botHandling === 'hide' && isBotAuthor(data.user);
+      // Rows we couldn't fetch data for are only shown when nothing is filtered
+      const visible = !hiddenBot && (this.filterMode === 'all' || (!!data && matches(data)));
+      
+      row.classList.toggle('pr-sorter-filtered', !visible && !this.collapseFiltered);
+      row.classList.toggle('pr-sorter-collapsed', !visible && this.collapseFiltered);
+      if (visible) shown++;
     });
     
-    if (!response.ok) {
-      if (response.status === 403) {
-        const resetTime = response.headers.get('x-ratelimit-reset');
-        const remaining = response.headers.get('x-ratelimit-remaining');
-        this.log(`Rate limit info - Remaining: ${remaining}, Reset: ${resetTime}`);
-        
-        throw new Error('GitHub API rate limit exceeded (403). Add a GitHub token for unlimited requests.');
-      }
-      throw new Error('GitHub API error: ' + response.status + ' - ' + response.statusText);
-    }
+    this.updateFilterCount(shown, rows.length);
+    this.log(`Filter ${this.filterMode}: showing ${shown} of ${rows.length} PRs`);
+    return { shown, total: rows.length };
+  }
+
+  updateFilterCount(shown, total) {
+    document.querySelectorAll('.pr-sorter-filter-count').forEach(el => el.remove());
     
-    const data = await response.json();
-    return {
-      number: prNumber,
-      author_association: data.author_association,
-      created_at: data.created_at,
-      user: data.user
-    };
+    if (!this.isFiltering()) return;
+    
+    const anchor = document.querySelector('.pr-sorter-merged-list') || this.findPRContainer();
+    if (!anchor) return;
+    
+    const count = document.createElement('div');
+    count.className = 'pr-sorter-filter-count';
+    count.textContent = `Showing ${shown} of ${total} PRs`;
+    anchor.parentElement.insertBefore(count, anchor);
+  }
+
+  // Unhides filtered rows without changing the filter settings
+  clearFilter() {
+    document.querySelectorAll('.pr-sorter-filtered, .pr-sorter-collapsed').forEach(el => {
+      el.classList.remove('pr-sorter-filtered', 'pr-sorter-collapsed');
+    });
+    document.querySelectorAll('.pr-sorter-filter-count').forEach(el => el.remove());
+  }
+
+  findPRContainer() {
+    return document.querySelector('[data-testid="results-list"]') || 
+           document.querySelector('.js-active-navigation-container') ||
+           document.querySelector('.js-navigation-container');
   }
 
   applySorting() {
-    const prContainer = document.querySelector('[data-testid="results-list"]') || 
-                       document.querySelector('.js-active-navigation-container') ||
-                       document.querySelector('.js-navigation-container');
+    const prContainer = this.findPRContainer();
     
     if (!prContainer) {
       this.log('❌ Could not find PR container for sorting');
@@ -295,9 +814,8 @@ class PRSorter {
 
     this.log('Sorting ' + prElements.length + ' PR elements');
     
-    // Store original order if not already stored
-    if (!prContainer.hasAttribute('data-original-order')) {
-      prContainer.setAttribute('data-original-order', 'true');
+    // Store original order, including rows GitHub re-rendered since the last sort
+    if (!prElements.every(el => el.hasAttribute('data-original-index'))) {
       prElements.forEach((el, index) => {
         el.setAttribute('data-original-index', index.toString());
       });
@@ -308,19 +826,20 @@ class PRSorter {
       const prNumberA = this.extractPRNumber(a.querySelector('a[href*="/pull/"]'));
       const prNumberB = this.extractPRNumber(b.querySelector('a[href*="/pull/"]'));
       
-      const dataA = this.prData.get(prNumberA);
-      const dataB = this.prData.get(prNumberB);
-      
-      if (!dataA || !dataB) return 0;
+      const dataA = this.getPRData(prNumberA);
+      const dataB = this.getPRData(prNumberB);
       
-      const priorityA = this.getContributorPriority(dataA.author_association);
-      const priorityB = this.getContributorPriority(dataB.author_association);
+      const originalOrder = parseInt(a.getAttribute('data-original-index') || '0') -
+                            parseInt(b.getAttribute('data-original-index') || '0');
       
-      if (this.sortOrder === 'new-first') {
-        return priorityA - priorityB;
-      } else {
-        return priorityB - priorityA;
+      // PRs we have no data for go after those we can rank
+      if (!dataA || !dataB) {
+        if (dataA) return -1;
+        if (dataB) return 1;
+        return originalOrder;
       }
+      
+      return this.comparePRs(dataA, dataB) || originalOrder;
     });
 
     // Re-append elements in sorted order
@@ -329,11 +848,80 @@ class PRSorter {
     });
 
     this.addContributorBadges();
+    if (this.isFiltering()) {
+      this.applyFilter();
+    }
+  }
+
+  getActiveSortChain() {
+    if (this.sortOrder === 'new-first') {
+      return [{ key: 'contributor', direction: 'asc' }];
+    }
+    if (this.sortOrder === 'existing-first') {
+      return [{ key: 'contributor', direction: 'desc' }];
+    }
+    return this.sortChain;
+  }
+
+  // Applies each comparator in the chain until one breaks the tie.
+  // Bots always sink to the bottom, whatever the chain says.
+  comparePRs(dataA, dataB) {
+    const botA = isBotAuthor(dataA.user);
+    const botB = isBotAuthor(dataB.user);
+    if (botA !== botB) return botA ? 1 : -1;
+    
+    for (const { key, direction } of this.getActiveSortChain()) {
+      const valueA = this.getSortValue(key, dataA);
+      const valueB = this.getSortValue(key, dataB);
+      
+      // Missing values always sort last, whatever the direction
+      if (valueA === null || valueB === null) {
+        if (valueA !== valueB) return valueA === null ? 1 : -1;
+        continue;
+      }
+      
+      if (valueA !== valueB) {
+        return direction === 'desc' ? valueB - valueA : valueA - valueB;
+      }
+    }
+    return 0;
+  }
+
+  getSortValue(key, data) {
+    switch (key) {
+      case 'contributor':
+        return this.getContributorPriority(data.author_association);
+      case 'age':
+        return data.created_at ? new Date(data.created_at).getTime() : null;
+      case 'size':
+        return typeof data.additions === 'number' ? data.additions + data.deletions : null;
+      case 'review': {
+        const reviewOrder = { REVIEW_REQUIRED: 1, CHANGES_REQUESTED: 2, APPROVED: 3 };
+        return reviewOrder[data.review_decision] || null;
+      }
+      case 'ci': {
+        const ciOrder = { FAILURE: 1, ERROR: 1, PENDING: 2, EXPECTED: 2, SUCCESS: 3 };
+        return ciOrder[data.ci_state] || null;
+      }
+      case 'draft':
+        return typeof data.draft === 'boolean' ? Number(data.draft) : null;
+      case 'history': {
+        const history = this.getAuthorHistory(data.user && data.user.login);
+        return history ? history.merged : null;
+      }
+      default:
+        return null;
+    }
   }
 
   getContributorPriority(authorAssociation) {
-    const newContributorStatuses = ['FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR', 'NONE'];
-    return newContributorStatuses.includes(authorAssociation) ? 1 : 2;
+    return getContributorTier(this.contributorTiers, authorAssociation).rank;
+  }
+
+  getTierForPR(prData) {
+    return isBotAuthor(prData.user)
+      ? this.contributorTiers.BOT
+      : getContributorTier(this.contributorTiers, prData.author_association);
   }
 
   addContributorBadges() {
@@ -342,41 +930,275 @@ class PRSorter {
     prElements.forEach(prElement => {
       const prLink = prElement.querySelector('a[href*="/pull/"]');
       const prNumber = this.extractPRNumber(prLink);
-      const prData = this.prData.get(prNumber);
+      const prData = this.getPRData(prNumber);
       
       if (prData && !prElement.querySelector('.contributor-badge')) {
-        const badge = this.createContributorBadge(prData.author_association);
+        const badge = this.createContributorBadge(prData);
         
         if (prLink) {
           prLink.parentElement.insertBefore(badge, prLink.nextSibling);
         }
       }
+      
+      if (prData && prLink && !prElement.querySelector('.pr-sorter-annotations')) {
+        const annotations = this.createAnnotationRow(prData);
+        
+        if (annotations) {
+          prLink.parentElement.appendChild(annotations);
+        }
+      }
     });
   }
 
-  createContributorBadge(authorAssociation) {
+  createContributorBadge(prData) {
+    const authorAssociation = prData.author_association;
+    const tier = this.getTierForPR(prData);
     const badge = document.createElement('span');
-    badge.className = 'contributor-badge';
+    badge.className = 'contributor-badge contributor-badge-tier';
+    badge.style.setProperty('--contributor-tier-color', tier.color);
+    badge.textContent = tier.label;
+    
+    // Bots have no profile worth showing, the tier is all there is to say
+    if (isBotAuthor(prData.user) || !prData.user) {
+      badge.title = tier.label + ' (' + (authorAssociation || 'UNKNOWN') + ')';
+      return badge;
+    }
+    
+    badge.tabIndex = 0;
+    badge.addEventListener('mouseenter', () => this.scheduleHoverCard(badge, prData));
+    badge.addEventListener('focus', () => this.scheduleHoverCard(badge, prData));
+    badge.addEventListener('mouseleave', () => this.scheduleHideHoverCard());
+    badge.addEventListener('blur', () => this.scheduleHideHoverCard());
+    
+    return badge;
+  }
+
+  // A short delay so sweeping the pointer across the list doesn't fetch every profile
+  scheduleHoverCard(badge, prData) {
+    clearTimeout(this.hoverCardTimer);
+    this.hoverCardTimer = setTimeout(() => this.showHoverCard(badge, prData), 300);
+  }
+
+  scheduleHideHoverCard() {
+    clearTimeout(this.hoverCardTimer);
+    this.hoverCardTimer = setTimeout(() => this.hideHoverCard(), 200);
+  }
+
+  hideHoverCard() {
+    if (this.hoverCard) {
+      this.hoverCard.remove();
+      this.hoverCard = null;
+    }
+  }
+
+  async showHoverCard(badge, prData) {
+    this.hideHoverCard();
+    
+    const card = document.createElement('div');
+    card.className = 'pr-sorter-hovercard';
+    card.addEventListener('mouseenter', () => clearTimeout(this.hoverCardTimer));
+    card.addEventListener('mouseleave', () => this.scheduleHideHoverCard());
+    
+    const rect = badge.getBoundingClientRect();
+    card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    card.style.left = `${rect.left + window.scrollX}px`;
+    
+    this.renderHoverCard(card, prData, null);
+    document.body.appendChild(card);
+    this.hoverCard = card;
+    
+    try {
+      const profile = await this.getContributorProfile(prData.user.login);
+      if (this.hoverCard === card) {
+        this.renderHoverCard(card, prData, profile);
+      }
+    } catch (error) {
+      this.log('Failed to fetch contributor profile:', error.message);
+      if (this.hoverCard === card) {
+        this.renderHoverCard(card, prData, null, error);
+      }
+    }
+  }
+
+  getContributorProfile(login) {
+    if (!this.profiles.has(login)) {
+      const request = this.sendToBackground({
+        type: 'GET_CONTRIBUTOR_PROFILE',
+        host: this.host,
+        login
+      }).then(response => response.profile);
+      
+      // Forget failures so the next hover tries again
+      request.catch(() => this.profiles.delete(login));
+      this.profiles.set(login, request);
+    }
+    return this.profiles.get(login);
+  }
+
+  // Drawn straight away from what the page already knows, then again once the profile arrives
+  renderHoverCard(card, prData, profile, error = null) {
+    const login = prData.user.login;
+    const { owner, repo } = this.getRepoInfo();
+    const tier = this.getTierForPR(prData);
+    const history = this.getAuthorHistory(login);
+    card.textContent = '';
     
-    const isNewContributor = ['FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR', 'NONE'].includes(authorAssociation);
+    const header = document.createElement('div');
+    header.className = 'pr-sorter-hovercard-header';
+    if (profile && profile.avatarUrl) {
+      const avatar = document.createElement('img');
+      avatar.className = 'pr-sorter-hovercard-avatar';
+      avatar.src = profile.avatarUrl;
+      avatar.alt = '';
+      header.appendChild(avatar);
+    }
+    const name = document.createElement('a');
+    name.className = 'pr-sorter-hovercard-name';
+    name.href = profile ? profile.htmlUrl : `https://${this.host}/${login}`;
+    name.textContent = profile && profile.name ? `${profile.name} (${login})` : login;
+    header.appendChild(name);
+    card.appendChild(header);
+    
+    const lines = [`${tier.label} (${prData.author_association || 'UNKNOWN'})`];
     
-    if (isNewContributor) {
-      badge.className += ' contributor-badge-new';
-      badge.textContent = '🆕 New';
-      badge.title = 'New contributor (' + authorAssociation + ')';
+    if (profile) {
+      const joined = new Date(profile.createdAt).toLocaleDateString([], { month: 'short', year: 'numeric' });
+      lines.push(`Joined ${this.formatAge(profile.createdAt)} ago (${joined}) · ${profile.publicRepos} public repos`);
+      
+      // Only the org that owns this repository says anything about the author's standing here
+      if (profile.orgs.some(org => org.toLowerCase() === owner.toLowerCase())) {
+        lines.push(`Public member of @${owner}`);
+      }
+    } else if (error) {
+      lines.push('Couldn\'t load profile: ' + error.message);
     } else {
-      badge.className += ' contributor-badge-existing';
-      badge.textContent = '🔄 Existing';
-      badge.title = 'Existing contributor (' + authorAssociation + ')';
+      lines.push('Loading profile…');
     }
     
-    return badge;
+    if (history) {
+      lines.push(`${history.total} PRs in this repo: ${history.merged} merged, ${history.closed} closed without merging`);
+    }
+    
+    lines.forEach(text => {
+      const line = document.createElement('div');
+      line.className = 'pr-sorter-hovercard-line';
+      line.textContent = text;
+      card.appendChild(line);
+    });
+    
+    const links = document.createElement('div');
+    links.className = 'pr-sorter-hovercard-links';
+    [
+      ['PRs in this repo', 'pulls', `is:pr author:${login}`],
+      ['Issues in this repo', 'issues', `is:issue author:${login}`]
+    ].forEach(([text, path, query]) => {
+      const link = document.createElement('a');
+      link.href = `https://${this.host}/${owner}/${repo}/${path}?q=${encodeURIComponent(query)}`;
+      link.textContent = text;
+      links.appendChild(link);
+    });
+    card.appendChild(links);
   }
 
+  // The line of details under a PR's title. Fields the user turned off, or that
+  // the API didn't return (REST has no review or CI state), are left out.
+  createAnnotationRow(prData) {
+    const fields = this.annotationFields;
+    const history = this.getAuthorHistory(prData.user && prData.user.login);
+    const items = [];
+    
+    if (fields.history && history && !isBotAuthor(prData.user)) {
+      items.push(this.createAnnotation('history',
+        history.merged === 0 ? 'No merged PRs' : `${history.merged} merged`,
+        `${this.formatOrdinal(history.total)} PR by this author in the repo: ${history.merged} merged, ${history.closed} closed without merging`,
+        history.merged === 0 ? 'attention' : null));
+    }
+    
+    if (fields.age && prData.created_at) {
+      items.push(this.createAnnotation('age', this.formatAge(prData.created_at) + ' old',
+        'Opened ' + new Date(prData.created_at).toLocaleString()));
+    }
+    
+    if (fields.diff && prData.additions != null && prData.deletions != null) {
+      const diff = this.createAnnotation('diff', '', `${prData.additions} lines added, ${prData.deletions} removed`);
+      const added = document.createElement('span');
+      added.className = 'pr-sorter-diff-added';
+      added.textContent = '+' + prData.additions.toLocaleString();
+      const removed = document.createElement('span');
+      removed.className = 'pr-sorter-diff-removed';
+      removed.textContent = '−' + prData.deletions.toLocaleString();
+      diff.appendChild(added);
+      diff.appendChild(removed);
+      items.push(diff);
+    }
+    
+    if (fields.files && prData.changed_files != null) {
+      items.push(this.createAnnotation('files',
+        `${prData.changed_files} file${prData.changed_files === 1 ? '' : 's'}`, 'Files changed'));
+    }
+    
+    const reviews = {
+      APPROVED: ['✓ Approved', 'success'],
+      CHANGES_REQUESTED: ['✗ Changes requested', 'failure'],
+      REVIEW_REQUIRED: ['Review required', 'pending']
+    };
+    if (fields.review && reviews[prData.review_decision]) {
+      const [text, state] = reviews[prData.review_decision];
+      items.push(this.createAnnotation('review', text, 'Review decision', state));
+    }
+    
+    const checks = {
+      SUCCESS: ['✓ CI passing', 'success'],
+      FAILURE: ['✗ CI failing', 'failure'],
+      ERROR: ['✗ CI error', 'failure'],
+      PENDING: ['● CI running', 'pending'],
+      EXPECTED: ['● CI expected', 'pending']
+    };
+    if (fields.ci && checks[prData.ci_state]) {
+      const [text, state] = checks[prData.ci_state];
+      items.push(this.createAnnotation('ci', text, 'Status of the checks on the latest commit', state));
+    }
+    
+    if (items.length === 0) return null;
+    
+    const row = document.createElement('div');
+    row.className = 'pr-sorter-annotations';
+    items.forEach(item => row.appendChild(item));
+    return row;
+  }
+
+  createAnnotation(field, text, title, state = null) {
+    const item = document.createElement('span');
+    item.className = `pr-sorter-annotation pr-sorter-annotation-${field}` + (state ? ` is-${state}` : '');
+    item.textContent = text;
+    item.title = title;
+    return item;
+  }
+
+  formatAge(timestamp) {
+    const minutes = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000));
+    
+    if (minutes < 60) return minutes + 'm';
+    if (minutes < 60 * 24) return Math.floor(minutes / 60) + 'h';
+    if (minutes < 60 * 24 * 30) return Math.floor(minutes / (60 * 24)) + 'd';
+    if (minutes < 60 * 24 * 365) return Math.floor(minutes / (60 * 24 * 30)) + 'mo';
+    return Math.floor(minutes / (60 * 24 * 365)) + 'y';
+  }
+
+  formatOrdinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return n + suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)];
+  }
+
+  // Shows every row in GitHub's order, unfiltered until the page reloads. The saved
+  // filter is left as it is and applies again the next time the page loads.
   restoreDefaultOrder() {
-    const prContainer = document.querySelector('[data-testid="results-list"]') || 
-                       document.querySelector('.js-active-navigation-container') ||
-                       document.querySelector('.js-navigation-container');
+    this.removeMergedList();
+    this.clearFilter();
+    this.filterMode = 'all';
+    this.updatePageControls();
+    
+    const prContainer = this.findPRContainer();
                        
     if (!prContainer) return;
 
@@ -399,29 +1221,59 @@ class PRSorter {
 
 
 
+  getRepoFullName() {
+    const { owner, repo } = this.getRepoInfo();
+    return owner && repo ? `${owner}/${repo}` : null;
+  }
+
   saveSortPreference() {
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.set({ prSortOrder: this.sortOrder });
+    this.savePreferences({ sortOrder: this.sortOrder, sortChain: this.sortChain });
+  }
+
+  saveFilterPreference() {
+    this.savePreferences({
+      filterMode: this.filterMode,
+      collapseFiltered: this.collapseFiltered,
+      botHandling: this.botHandling
+    });
+  }
+
+  savePreferences(preferences) {
+    if (typeof chrome !== 'undefined' && chrome.runtime) {
+      chrome.runtime.sendMessage({
+        type: 'SET_SORT_PREFERENCE',
+        scope: this.preferenceScope,
+        preferences
+      });
     }
   }
 
+  applyPreferences(preferences) {
+    this.preferenceScope = preferences.scope;
+    this.sortOrder = preferences.sortOrder || 'default';
+    this.sortChain = preferences.sortChain || DEFAULT_SORT_CHAIN;
+    this.filterMode = FILTER_MODES[preferences.filterMode] ? preferences.filterMode : 'all';
+    this.collapseFiltered = !!preferences.collapseFiltered;
+    this.botHandling = preferences.botHandling || 'bottom';
+    this.log(`Loaded preferences (${preferences.scope}):`, this.sortOrder, this.filterMode);
+  }
+
+  async loadPreferences() {
+    const result = await chrome.storage.local.get(PREFERENCE_STORAGE_KEYS);
+    this.applyPreferences(resolvePreferences(result, this.getRepoFullName()));
+  }
+
   async loadSettings() {
     if (typeof chrome !== 'undefined' && chrome.storage) {
       return new Promise((resolve) => {
-        chrome.storage.local.get(['prSortOrder', 'githubToken', 'prCache'], (result) => {
-          if (result.prSortOrder) {
-            this.sortOrder = result.prSortOrder;
-            this.log('Loaded sort preference:', this.sortOrder);
-          }
-          if (result.githubToken) {
-            this.githubToken = result.githubToken;
-            this.log('Loaded GitHub token (authenticated)');
-          }
-          if (result.prCache) {
-            // Load cache from storage and convert back to Map
-            const cacheData = JSON.parse(result.prCache);
-            this.cache = new Map(cacheData.entries);
-            this.log(`Loaded ${this.cache.size} cached PR entries`);
+        const keys = PREFERENCE_STORAGE_KEYS.concat(['contributorTiers', 'annotationFields', 'prSortAllPages']);
+        chrome.storage.local.get(keys, (result) => {
+          this.applyPreferences(resolvePreferences(result, this.getRepoFullName()));
+          this.annotationFields = resolveAnnotationFields(result.annotationFields);
+          this.allPages = !!result.prSortAllPages;
+          if (result.contributorTiers) {
+            this.contributorTiers = mergeContributorTiers(result.contributorTiers);
+            this.log('Loaded custom contributor tiers');
           }
           resolve();
         });
@@ -429,79 +1281,130 @@ class PRSorter {
     }
   }
 
-  getFromCache(prNumber) {
-    const cached = this.cache.get(prNumber);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      this.log(`Cache hit for PR #${prNumber}`);
-      return cached.data;
-    }
-    if (cached) {
-      // Remove expired entry
-      this.cache.delete(prNumber);
-      this.saveCacheToStorage();
-    }
-    return null;
-  }
-  
-  setCache(prNumber, data) {
-    this.cache.set(prNumber, {
-      data,
-      timestamp: Date.now()
+  // Annotation toggles on the options page apply to open tabs straight away
+  watchSettingChanges() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      
+      if (changes.prSortAllPages) {
+        this.allPages = !!changes.prSortAllPages.newValue;
+      }
+      if (!changes.annotationFields) return;
+      
+      this.annotationFields = resolveAnnotationFields(changes.annotationFields.newValue);
+      this.runApplying(async () => {
+        document.querySelectorAll('.pr-sorter-annotations').forEach(el => el.remove());
+        this.addContributorBadges();
+      });
     });
-    this.saveCacheToStorage();
   }
-  
-  saveCacheToStorage() {
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      // Convert Map to array for storage
-      const cacheData = {
-        entries: Array.from(this.cache.entries())
-      };
-      
-      // Limit cache size to prevent storage bloat
-      if (cacheData.entries.length > 200) {
-        // Keep only the 150 most recent entries
-        cacheData.entries.sort((a, b) => b[1].timestamp - a[1].timestamp);
-        cacheData.entries = cacheData.entries.slice(0, 150);
-        this.cache = new Map(cacheData.entries);
-      }
+
+  observePageChanges() {
+    this.currentUrl = window.location.href;
+    
+    this.observer = new MutationObserver(() => {
+      // Ignore the mutations we cause while sorting, filtering or badging
+      if (this.isApplying) return;
       
-      chrome.storage.local.set({ prCache: JSON.stringify(cacheData) });
+      this.ensurePageControls();
+      this.checkPageChanges();
+    });
+    
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    
+    // GitHub's Turbo (and older pjax) navigation fire these once the new page is in place
+    ['turbo:load', 'turbo:render', 'pjax:end'].forEach(eventName => {
+      document.addEventListener(eventName, () => this.scheduleAutoApply());
+    });
+  }
+
+  checkPageChanges() {
+    if (window.location.href !== this.currentUrl) {
+      this.currentUrl = window.location.href;
+      this.log('URL changed to:', this.currentUrl);
+      this.handleNavigation();
+    } else if (this.needsAutoApply()) {
+      // GitHub re-rendered the results list without changing the URL
+      this.scheduleAutoApply();
     }
   }
-  
-  clearExpiredCache() {
-    const now = Date.now();
-    let deletedCount = 0;
+
+  async handleNavigation() {
+    const repoFullName = this.getRepoFullName();
     
-    for (const [prNumber, cached] of this.cache) {
-      if (now - cached.timestamp >= this.cacheExpiry) {
-        this.cache.delete(prNumber);
-        deletedCount++;
-      }
+    if (repoFullName !== this.currentRepo) {
+      this.currentRepo = repoFullName;
+      this.prData.clear();
+      this.authorHistory.clear();
+      this.cancelResume();
+      await this.loadPreferences();
+      this.updatePageControls();
     }
     
-    if (deletedCount > 0) {
-      this.log(`Cleared ${deletedCount} expired cache entries`);
-      this.saveCacheToStorage();
+    this.scheduleAutoApply();
+  }
+
+  needsAutoApply() {
+    if (!this.isPullRequestsPage() || (this.sortOrder === 'default' && !this.isFiltering())) {
+      return false;
     }
+    return this.getActiveRows().some(row => !row.hasAttribute('data-pr-sorter-applied'));
   }
-  
-  observePageChanges() {
-    let currentUrl = window.location.href;
+
+  scheduleAutoApply() {
+    clearTimeout(this.autoApplyTimer);
+    // Wait for GitHub to finish rendering before touching the list
+    this.autoApplyTimer = setTimeout(() => this.autoApply(), 300);
+  }
+
+  async autoApply() {
+    if (this.isApplying || !this.needsAutoApply()) return;
+    
+    this.log('Auto-applying saved preferences:', this.sortOrder, this.filterMode);
     
-    const observer = new MutationObserver(() => {
-      if (window.location.href !== currentUrl) {
-        currentUrl = window.location.href;
-        this.log('URL changed to:', currentUrl);
-        // Page changed - just log it, popup will handle UI
+    await this.runApplying(async () => {
+      try {
+        await this.applyCurrentMode();
+      } catch (error) {
+        this.log('Auto-apply failed:', error.message);
       }
     });
+  }
+
+  // Fetches what's missing and applies the current sort and filter to this page
+  async applyCurrentMode(options = {}) {
+    await this.fetchPRData(options);
     
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    if (this.sortOrder !== 'default') {
+      await this.fetchAuthorHistory(Array.from(this.prData.values()), options);
+      this.applySorting();
+    } else {
+      this.applyFilter();
+      this.addContributorBadges();
+    }
+  }
+
+  // Runs a DOM-changing task without the observer reacting to its own mutations.
+  // Only the rows present when it started are marked as applied: GitHub can swap the
+  // list while PR data loads, and rows it brings in meanwhile still need sorting.
+  async runApplying(task) {
+    const rows = this.getActiveRows();
+    this.isApplying = true;
+    
+    try {
+      return await task();
+    } finally {
+      rows.filter(row => row.isConnected).forEach(row => row.setAttribute('data-pr-sorter-applied', ''));
+      this.isApplying = false;
+      // The observer ignored whatever changed in the meantime, so catch up with it now
+      if (this.observer) {
+        this.observer.takeRecords();
+        this.checkPageChanges();
+      }
+    }
   }
 }
 
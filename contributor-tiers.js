@@ -0,0 +1,44 @@
+// GitHub PR Contributor Sorter - Contributor Tiers
+// Shared by the content script, options page, dashboard and background. Lower
+// ranks sort first in "New Contributors First" mode.
+
+const DEFAULT_CONTRIBUTOR_TIERS = {
+  FIRST_TIMER: { rank: 1, label: '🌱 First Timer', color: '#8250df' },
+  FIRST_TIME_CONTRIBUTOR: { rank: 2, label: '🆕 First PR', color: '#0969da' },
+  NONE: { rank: 3, label: '👤 New', color: '#1b7c83' },
+  CONTRIBUTOR: { rank: 4, label: '🔄 Contributor', color: '#1a7f37' },
+  COLLABORATOR: { rank: 5, label: '🤝 Collaborator', color: '#9a6700' },
+  MEMBER: { rank: 6, label: '🏢 Member', color: '#bc4c00' },
+  OWNER: { rank: 7, label: '👑 Owner', color: '#cf222e' },
+  // Bots always sort last, so their rank is never compared
+  BOT: { rank: 100, label: '🤖 Bot', color: '#57606a' }
+};
+
+// Which associations count as first-timers, new contributors and maintainers, for the
+// filters, the triage dashboard, the toolbar badge and watch list notifications
+const FIRST_TIMER_ASSOCIATIONS = ['FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR'];
+const NEW_CONTRIBUTOR_ASSOCIATIONS = FIRST_TIMER_ASSOCIATIONS.concat('NONE');
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+const UNKNOWN_CONTRIBUTOR_TIER = { rank: 99, label: '❔ Unknown', color: '#6e7781' };
+
+// Apply the user's stored overrides on top of the defaults
+function mergeContributorTiers(overrides) {
+  const tiers = {};
+  
+  Object.keys(DEFAULT_CONTRIBUTOR_TIERS).forEach(association => {
+    tiers[association] = Object.assign({}, DEFAULT_CONTRIBUTOR_TIERS[association], overrides && overrides[association]);
+  });
+  
+  return tiers;
+}
+
+function getContributorTier(tiers, authorAssociation) {
+  return tiers[authorAssociation] || UNKNOWN_CONTRIBUTOR_TIER;
+}
+
+// Works with GraphQL authors (__typename) and REST users (type)
+function isBotAuthor(user) {
+  if (!user) return false;
+  return user.__typename === 'Bot' || user.type === 'Bot' || /\[bot\]$/.test(user.login || '');
+}
@@ -0,0 +1,266 @@
+// GitHub PR Contributor Sorter - Triage Dashboard Script
+// Lists open PRs from new contributors across the repositories and organisation
+// saved as `dashboardSettings`: { host: 'github.com', repos: ['owner/repo'], org: '' }
+
+const REVIEW_LABELS = {
+  REVIEW_REQUIRED: 'Review required',
+  CHANGES_REQUESTED: 'Changes requested',
+  APPROVED: 'Approved'
+};
+
+// Needs review first, matching the content script's "review" sort key
+const REVIEW_ORDER = {
+  REVIEW_REQUIRED: 1,
+  CHANGES_REQUESTED: 2,
+  APPROVED: 3
+};
+
+let triagePRs = [];
+let rateLimitedUntil = null; // Set when the last load stopped early at the rate limit
+let truncatedScopes = []; // Searches that matched more PRs than GitHub returns
+let failedScopes = []; // Repositories or organisations GitHub couldn't search
+let contributorTiers = mergeContributorTiers();
+let sortState = { key: 'age', direction: 'asc' };
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await loadDashboardSettings();
+  setupEventListeners();
+  
+  if (settings.repos.length > 0 || settings.org) {
+    await loadTriagePRs(settings);
+  } else {
+    setSummary('Add repositories or an organisation above to get started.');
+  }
+});
+
+function setupEventListeners() {
+  document.getElementById('save-sources').addEventListener('click', saveDashboardSettings);
+  document.getElementById('reload-prs').addEventListener('click', async () => {
+    loadTriagePRs(await loadDashboardSettings());
+  });
+  document.getElementById('waiting-only').addEventListener('change', renderPRRows);
+  
+  document.querySelectorAll('th[data-sort-key]').forEach(header => {
+    header.addEventListener('click', () => {
+      const key = header.dataset.sortKey;
+      sortState = {
+        key,
+        direction: sortState.key === key && sortState.direction === 'asc' ? 'desc' : 'asc'
+      };
+      renderPRRows();
+    });
+  });
+}
+
+async function loadDashboardSettings() {
+  const { dashboardSettings, contributorTiers: storedTiers } = await chrome.storage.local.get(['dashboardSettings', 'contributorTiers']);
+  const settings = Object.assign({ host: GITHUB_HOST, repos: [], org: '' }, dashboardSettings);
+  contributorTiers = mergeContributorTiers(storedTiers);
+  
+  document.getElementById('dashboard-host').value = settings.host;
+  document.getElementById('dashboard-repos').value = settings.repos.join('\n');
+  document.getElementById('dashboard-org').value = settings.org;
+  
+  return settings;
+}
+
+// Accepts "owner/repo" or a repository URL on each line
+function parseRepoList(text) {
+  const repos = [];
+  
+  text.split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+    const repo = line.includes('://') ? getRepoFullNameFromUrl(line) : line.replace(/\/+$/, '');
+    if (repo && /^[\w.-]+\/[\w.-]+$/.test(repo) && !repos.includes(repo.toLowerCase())) {
+      repos.push(repo.toLowerCase());
+    }
+  });
+  
+  return repos;
+}
+
+async function saveDashboardSettings() {
+  const host = normalizeHost(document.getElementById('dashboard-host').value) || GITHUB_HOST;
+  const repos = parseRepoList(document.getElementById('dashboard-repos').value);
+  const org = document.getElementById('dashboard-org').value.trim().replace(/^@/, '');
+  
+  if (org && !/^[A-Za-z0-9-]+$/.test(org)) {
+    showStatus('sources-status', 'Enter an organisation name such as octo-org', true);
+    return;
+  }
+  if (repos.length === 0 && !org) {
+    showStatus('sources-status', 'Add at least one repository or an organisation', true);
+    return;
+  }
+  
+  try {
+    const dashboardSettings = { host, repos, org };
+    await chrome.storage.local.set({ dashboardSettings });
+    await loadDashboardSettings();
+    showStatus('sources-status', 'Saved!');
+    await loadTriagePRs(dashboardSettings);
+  } catch (error) {
+    console.error('Error saving dashboard settings:', error);
+    showStatus('sources-status', 'Error saving repositories', true);
+  }
+}
+
+async function loadTriagePRs(settings) {
+  setSummary('Loading open pull requests…');
+  
+  try {
+    const response = await chrome.runtime.sendMessage(Object.assign({ type: 'GET_TRIAGE_PRS' }, settings));
+    
+    rateLimitedUntil = response.complete === false ? response.resetAt : null;
+    truncatedScopes = response.truncated || [];
+    failedScopes = response.failed || [];
+    
+    if (response.error) {
+      triagePRs = [];
+      renderPRRows();
+      setSummary('❌ ' + response.error);
+      return;
+    }
+    
+    triagePRs = response.prs.filter(pr => !isBotAuthor(pr.user) && NEW_CONTRIBUTOR_ASSOCIATIONS.includes(pr.author_association));
+    renderPRRows();
+  } catch (error) {
+    console.error('Error loading triage PRs:', error);
+    setSummary('❌ Error loading pull requests');
+  }
+}
+
+function getVisiblePRs() {
+  const waitingOnly = document.getElementById('waiting-only').checked;
+  const direction = sortState.direction === 'asc' ? 1 : -1;
+  
+  return triagePRs
+    .filter(pr => !waitingOnly || !pr.maintainer_responded)
+    .sort((a, b) => {
+      const valueA = getSortValue(sortState.key, a);
+      const valueB = getSortValue(sortState.key, b);
+      
+      // PRs without a value go last either way
+      if (valueA === null || valueB === null) {
+        return (valueA === null) - (valueB === null);
+      }
+      return (valueA - valueB) * direction;
+    });
+}
+
+function getSortValue(key, pr) {
+  if (key === 'age') {
+    return new Date(pr.created_at).getTime();
+  }
+  return REVIEW_ORDER[pr.review_decision] || null;
+}
+
+function renderPRRows() {
+  const body = document.getElementById('prs-body');
+  const prs = getVisiblePRs();
+  body.textContent = '';
+  
+  document.querySelectorAll('th[data-sort-key]').forEach(header => {
+    const arrow = sortState.direction === 'asc' ? ' ▲' : ' ▼';
+    header.textContent = header.textContent.replace(/ [▲▼]$/, '') + (header.dataset.sortKey === sortState.key ? arrow : '');
+  });
+  
+  if (prs.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'empty';
+    cell.textContent = 'No matching pull requests';
+    row.appendChild(cell);
+    body.appendChild(row);
+  }
+  
+  prs.forEach(pr => {
+    const row = document.createElement('tr');
+    
+    const prLink = document.createElement('a');
+    prLink.href = pr.html_url;
+    prLink.target = '_blank';
+    prLink.textContent = `#${pr.number} ${pr.title}`;
+    
+    const tier = getContributorTier(contributorTiers, pr.author_association);
+    const author = document.createElement('span');
+    author.textContent = `${pr.user ? pr.user.login : 'ghost'} `;
+    const tierLabel = document.createElement('span');
+    tierLabel.className = 'muted';
+    tierLabel.textContent = tier.label;
+    author.appendChild(tierLabel);
+    
+    const response = document.createElement('span');
+    response.className = pr.maintainer_responded ? 'muted' : 'waiting';
+    response.textContent = pr.maintainer_responded ? 'Responded' : 'Waiting on us';
+    
+    row.appendChild(createCell(pr.repo));
+    row.appendChild(createCell(prLink));
+    row.appendChild(createCell(author));
+    row.appendChild(createCell(formatAge(pr.created_at)));
+    row.appendChild(createCell(REVIEW_LABELS[pr.review_decision] || '—'));
+    row.appendChild(createCell(response));
+    body.appendChild(row);
+  });
+  
+  setSummary(getSummary());
+}
+
+function createCell(content) {
+  const cell = document.createElement('td');
+  if (typeof content === 'string') {
+    cell.textContent = content;
+  } else {
+    cell.appendChild(content);
+  }
+  return cell;
+}
+
+function getSummary() {
+  const waiting = triagePRs.filter(pr => !pr.maintainer_responded).length;
+  const repos = new Set(triagePRs.map(pr => pr.repo)).size;
+  let summary = `${triagePRs.length} open PRs from new contributors in ${repos} repositories, ${waiting} waiting on a maintainer.`;
+  
+  if (failedScopes.length > 0) {
+    summary += ` ❌ Couldn't search ${formatScopes(failedScopes)}. Check that they exist and that your token can see them.`;
+  }
+  if (truncatedScopes.length > 0) {
+    const scopes = formatScopes(truncatedScopes);
+    summary += ` ⚠️ GitHub only returns the first 1,000 open PRs of a search, so some are missing from: ${scopes}. List fewer or smaller repositories to see them all.`;
+  }
+  
+  return rateLimitedUntil
+    ? summary + ` ⏳ Rate limit reached, some PRs are missing. Reload after ${formatTime(rateLimitedUntil)}.`
+    : summary;
+}
+
+// "repo:octo/a repo:octo/b" reads as "octo/a octo/b"
+function formatScopes(scopes) {
+  return scopes.map(scope => scope.replace(/\b(repo|org):/g, '')).join('; ');
+}
+
+function setSummary(message) {
+  document.getElementById('dashboard-summary').textContent = message;
+}
+
+function formatAge(timestamp) {
+  const days = Math.floor((Date.now() - new Date(timestamp).getTime()) / (24 * 60 * 60 * 1000));
+  
+  if (days < 1) return 'Today';
+  if (days === 1) return '1 day';
+  return `${days} days`;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function showStatus(elementId, message, isError = false) {
+  const statusElement = document.getElementById(elementId);
+  statusElement.textContent = message;
+  statusElement.classList.toggle('error', isError);
+  
+  setTimeout(() => {
+    statusElement.textContent = '';
+  }, 3000);
+}
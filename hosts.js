@@ -0,0 +1,59 @@
+// GitHub PR Contributor Sorter - GitHub Hosts
+// Shared by the content script, popup, options page and background.
+// github.com is always supported; GitHub Enterprise Server hosts are
+// registered on the options page and stored as `enterpriseHosts`:
+// { 'ghe.example.com': {} }. Their tokens are kept apart with the other
+// credentials as `enterpriseTokens` (see token-store.js).
+
+const GITHUB_HOST = 'github.com';
+
+function getApiEndpoints(host) {
+  if (host === GITHUB_HOST) {
+    return {
+      rest: 'https://api.github.com',
+      graphql: 'https://api.github.com/graphql'
+    };
+  }
+  
+  return {
+    rest: `https://${host}/api/v3`,
+    graphql: `https://${host}/api/graphql`
+  };
+}
+
+// Accepts "ghe.example.com", "https://ghe.example.com/" or a full page URL
+function normalizeHost(input) {
+  const value = (input || '').trim();
+  if (!value) return null;
+  
+  try {
+    return new URL(value.includes('://') ? value : 'https://' + value).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isSupportedHost(host, enterpriseHosts) {
+  return host === GITHUB_HOST || !!(enterpriseHosts && enterpriseHosts[host]);
+}
+
+function isPullRequestsUrl(url, enterpriseHosts) {
+  try {
+    const parsed = new URL(url);
+    return isSupportedHost(parsed.hostname, enterpriseHosts) &&
+           /^\/[^/]+\/[^/]+\/pulls\/?$/.test(parsed.pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Identifies a pull request across hosts and repositories, e.g. "github.com/octo/hello#42".
+// GitHub treats owner and repository names case-insensitively, so keys do too.
+function getPRCacheKey({ host, owner, repo }, prNumber) {
+  return `${host}/${owner}/${repo}#${prNumber}`.toLowerCase();
+}
+
+function getHostToken(host, githubToken, enterpriseTokens) {
+  if (host === GITHUB_HOST) return githubToken || null;
+  return (enterpriseTokens && enterpriseTokens[host]) || null;
+}
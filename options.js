@@ -0,0 +1,449 @@
+// GitHub PR Contributor Sorter - Options Page Script
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadContributorTiers();
+  await loadAnnotationFields();
+  await loadEnterpriseHosts();
+  await loadWatchSettings();
+  await loadCacheSettings();
+  await loadOAuthSettings();
+  setupEventListeners();
+});
+
+function setupEventListeners() {
+  document.getElementById('save-tiers').addEventListener('click', saveContributorTiers);
+  document.getElementById('reset-tiers').addEventListener('click', resetContributorTiers);
+  document.getElementById('save-annotations').addEventListener('click', saveAnnotationFields);
+  document.getElementById('reset-annotations').addEventListener('click', resetAnnotationFields);
+  document.getElementById('add-host').addEventListener('click', addEnterpriseHost);
+  document.getElementById('save-watch').addEventListener('click', saveWatchSettings);
+  document.getElementById('check-watch').addEventListener('click', checkWatchListNow);
+  document.getElementById('reset-watch').addEventListener('click', resetWatchSettings);
+  document.getElementById('save-cache').addEventListener('click', saveCacheSettings);
+  document.getElementById('reset-cache').addEventListener('click', resetCacheSettings);
+  document.getElementById('save-oauth').addEventListener('click', saveOAuthSettings);
+  document.getElementById('reset-oauth').addEventListener('click', resetOAuthSettings);
+}
+
+async function loadContributorTiers() {
+  try {
+    const result = await chrome.storage.local.get('contributorTiers');
+    renderTierRows(mergeContributorTiers(result.contributorTiers));
+  } catch (error) {
+    console.error('Error loading contributor tiers:', error);
+  }
+}
+
+function renderTierRows(tiers) {
+  const body = document.getElementById('tiers-body');
+  body.textContent = '';
+  
+  Object.keys(tiers).forEach(association => {
+    const tier = tiers[association];
+    const row = document.createElement('tr');
+    row.dataset.association = association;
+    
+    const nameCell = document.createElement('td');
+    const name = document.createElement('code');
+    name.textContent = association;
+    nameCell.appendChild(name);
+    
+    const rankCell = createInputCell('number', 'rank', tier.rank);
+    // Bots always sort last, so their rank isn't editable
+    rankCell.querySelector('input').disabled = association === 'BOT';
+    
+    row.appendChild(nameCell);
+    row.appendChild(rankCell);
+    row.appendChild(createInputCell('text', 'label', tier.label));
+    row.appendChild(createInputCell('color', 'color', tier.color));
+    body.appendChild(row);
+  });
+}
+
+function createInputCell(type, field, value) {
+  const cell = document.createElement('td');
+  const input = document.createElement('input');
+  input.type = type;
+  input.dataset.field = field;
+  input.value = value;
+  cell.appendChild(input);
+  return cell;
+}
+
+async function saveContributorTiers() {
+  const contributorTiers = {};
+  
+  document.querySelectorAll('#tiers-body tr').forEach(row => {
+    const association = row.dataset.association;
+    const defaults = DEFAULT_CONTRIBUTOR_TIERS[association];
+    const rank = parseInt(row.querySelector('[data-field="rank"]').value);
+    const label = row.querySelector('[data-field="label"]').value.trim();
+    
+    contributorTiers[association] = {
+      rank: isNaN(rank) ? defaults.rank : rank,
+      label: label || defaults.label,
+      color: row.querySelector('[data-field="color"]').value
+    };
+  });
+  
+  try {
+    await chrome.storage.local.set({ contributorTiers });
+    showStatus('tiers-status', 'Saved! Reload GitHub tabs to apply.');
+  } catch (error) {
+    console.error('Error saving contributor tiers:', error);
+    showStatus('tiers-status', 'Error saving tiers');
+  }
+}
+
+async function resetContributorTiers() {
+  try {
+    await chrome.storage.local.remove('contributorTiers');
+    renderTierRows(mergeContributorTiers());
+    showStatus('tiers-status', 'Restored defaults.');
+  } catch (error) {
+    console.error('Error resetting contributor tiers:', error);
+  }
+}
+
+async function loadAnnotationFields() {
+  try {
+    const { annotationFields } = await chrome.storage.local.get('annotationFields');
+    renderAnnotationFields(resolveAnnotationFields(annotationFields));
+  } catch (error) {
+    console.error('Error loading annotation fields:', error);
+  }
+}
+
+function renderAnnotationFields(fields) {
+  const body = document.getElementById('annotations-body');
+  body.textContent = '';
+  
+  Object.keys(ANNOTATION_FIELDS).forEach(key => {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.field = key;
+    checkbox.checked = fields[key];
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + ANNOTATION_FIELDS[key]));
+    cell.appendChild(label);
+    row.appendChild(cell);
+    body.appendChild(row);
+  });
+}
+
+async function saveAnnotationFields() {
+  const annotationFields = {};
+  
+  document.querySelectorAll('#annotations-body input[type="checkbox"]').forEach(checkbox => {
+    annotationFields[checkbox.dataset.field] = checkbox.checked;
+  });
+  
+  try {
+    await chrome.storage.local.set({ annotationFields });
+    showStatus('annotations-status', 'Saved!');
+  } catch (error) {
+    console.error('Error saving annotation fields:', error);
+    showStatus('annotations-status', 'Error saving annotations', true);
+  }
+}
+
+async function resetAnnotationFields() {
+  try {
+    await chrome.storage.local.remove('annotationFields');
+    renderAnnotationFields(resolveAnnotationFields());
+    showStatus('annotations-status', 'Restored defaults.');
+  } catch (error) {
+    console.error('Error resetting annotation fields:', error);
+  }
+}
+
+async function loadEnterpriseHosts() {
+  try {
+    const { enterpriseHosts = {} } = await chrome.storage.local.get('enterpriseHosts');
+    const { enterpriseTokens = {} } = await getCredentials();
+    renderHostRows(enterpriseHosts, enterpriseTokens);
+  } catch (error) {
+    console.error('Error loading enterprise hosts:', error);
+  }
+}
+
+function renderHostRows(enterpriseHosts, enterpriseTokens) {
+  const body = document.getElementById('hosts-body');
+  body.textContent = '';
+  
+  const hosts = Object.keys(enterpriseHosts);
+  if (hosts.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.className = 'empty';
+    cell.textContent = 'No enterprise hosts added';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+  
+  hosts.forEach(host => {
+    const row = document.createElement('tr');
+    
+    const hostCell = document.createElement('td');
+    const name = document.createElement('code');
+    name.textContent = host;
+    hostCell.appendChild(name);
+    
+    const tokenCell = document.createElement('td');
+    tokenCell.textContent = enterpriseTokens[host] ? 'Set' : 'Not set';
+    
+    const actionCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeEnterpriseHost(host));
+    actionCell.appendChild(removeButton);
+    
+    row.appendChild(hostCell);
+    row.appendChild(tokenCell);
+    row.appendChild(actionCell);
+    body.appendChild(row);
+  });
+}
+
+async function addEnterpriseHost() {
+  const hostInput = document.getElementById('new-host');
+  const tokenInput = document.getElementById('new-host-token');
+  const host = normalizeHost(hostInput.value);
+  
+  if (!host || host === GITHUB_HOST) {
+    showStatus('hosts-status', 'Enter an enterprise hostname such as github.example.com', true);
+    return;
+  }
+  
+  try {
+    // Must run in the click handler, Chrome only shows the prompt for a user gesture
+    const granted = await chrome.permissions.request({ origins: [`https://${host}/*`] });
+    if (!granted) {
+      showStatus('hosts-status', `Access to ${host} was not granted`, true);
+      return;
+    }
+    
+    // The token is saved before the host, so the host's pages never load without it
+    await setEnterpriseToken(host, tokenInput.value.trim());
+    const { enterpriseHosts = {} } = await chrome.storage.local.get('enterpriseHosts');
+    enterpriseHosts[host] = {};
+    await chrome.storage.local.set({ enterpriseHosts });
+    
+    hostInput.value = '';
+    tokenInput.value = '';
+    await loadEnterpriseHosts();
+    showStatus('hosts-status', `Added ${host}. Reload its pull request pages to apply.`);
+  } catch (error) {
+    console.error('Error adding enterprise host:', error);
+    showStatus('hosts-status', 'Error adding host', true);
+  }
+}
+
+async function removeEnterpriseHost(host) {
+  try {
+    const { enterpriseHosts = {} } = await chrome.storage.local.get('enterpriseHosts');
+    delete enterpriseHosts[host];
+    await chrome.storage.local.set({ enterpriseHosts });
+    await setEnterpriseToken(host, null);
+    await chrome.permissions.remove({ origins: [`https://${host}/*`] });
+    
+    await loadEnterpriseHosts();
+    showStatus('hosts-status', `Removed ${host}`);
+  } catch (error) {
+    console.error('Error removing enterprise host:', error);
+    showStatus('hosts-status', 'Error removing host', true);
+  }
+}
+
+async function loadWatchSettings() {
+  try {
+    const { watchSettings } = await chrome.storage.local.get('watchSettings');
+    renderWatchSettings(resolveWatchSettings(watchSettings));
+  } catch (error) {
+    console.error('Error loading watch list:', error);
+  }
+}
+
+function renderWatchSettings(settings) {
+  document.getElementById('watch-repos').value = settings.repos.join('\n');
+  document.getElementById('watch-interval').value = settings.intervalMinutes;
+  document.getElementById('watch-sla').value = settings.slaHours;
+}
+
+async function saveWatchSettings() {
+  const entries = document.getElementById('watch-repos').value.split('\n').map(line => line.trim()).filter(line => line);
+  const invalid = entries.find(entry => !parseWatchedRepo(entry));
+  
+  if (invalid) {
+    showStatus('watch-status', `"${invalid}" isn't owner/repo or host/owner/repo`, true);
+    return;
+  }
+  
+  const watchSettings = resolveWatchSettings({
+    repos: [...new Set(entries.map(entry => entry.toLowerCase()))],
+    intervalMinutes: parseInt(document.getElementById('watch-interval').value),
+    slaHours: parseInt(document.getElementById('watch-sla').value)
+  });
+  
+  try {
+    await chrome.storage.local.set({ watchSettings });
+    renderWatchSettings(watchSettings);
+    showStatus('watch-status', watchSettings.repos.length > 0
+      ? `Saved! Checking ${watchSettings.repos.length} repositories every ${watchSettings.intervalMinutes} minutes.`
+      : 'Saved! No repositories are watched.');
+  } catch (error) {
+    console.error('Error saving watch list:', error);
+    showStatus('watch-status', 'Error saving watch list', true);
+  }
+}
+
+async function checkWatchListNow() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_WATCH_LIST' });
+    if (response.error) {
+      showStatus('watch-status', response.error, true);
+      return;
+    }
+    if (response.failed.length > 0) {
+      // Left up longer, there's a list to read
+      showStatus('watch-status', `Couldn't check ${response.failed.join(', ')}. Check that they exist and that there's a token for their host.`, true, 10000);
+      return;
+    }
+    showStatus('watch-status', `Checked ${response.watched} repositories, tracking ${response.tracked} first-timer PRs.`);
+  } catch (error) {
+    console.error('Error checking watch list:', error);
+    showStatus('watch-status', 'Error checking watch list', true);
+  }
+}
+
+async function resetWatchSettings() {
+  try {
+    await chrome.storage.local.remove('watchSettings');
+    renderWatchSettings(DEFAULT_WATCH_SETTINGS);
+    showStatus('watch-status', 'Restored defaults.');
+  } catch (error) {
+    console.error('Error resetting watch list:', error);
+  }
+}
+
+async function loadCacheSettings() {
+  try {
+    const result = await chrome.storage.local.get('cacheSettings');
+    renderCacheSettings(resolveCacheSettings(result.cacheSettings));
+  } catch (error) {
+    console.error('Error loading cache settings:', error);
+  }
+}
+
+function renderCacheSettings(settings) {
+  document.getElementById('cache-ttl').value = settings.ttlMinutes;
+  document.getElementById('cache-max-entries').value = settings.maxEntries;
+}
+
+async function saveCacheSettings() {
+  const cacheSettings = resolveCacheSettings({
+    ttlMinutes: parseInt(document.getElementById('cache-ttl').value),
+    maxEntries: parseInt(document.getElementById('cache-max-entries').value)
+  });
+  
+  try {
+    await chrome.storage.local.set({ cacheSettings });
+    renderCacheSettings(cacheSettings);
+    showStatus('cache-status', 'Saved!');
+  } catch (error) {
+    console.error('Error saving cache settings:', error);
+    showStatus('cache-status', 'Error saving cache settings', true);
+  }
+}
+
+async function resetCacheSettings() {
+  try {
+    await chrome.storage.local.remove('cacheSettings');
+    renderCacheSettings(DEFAULT_CACHE_SETTINGS);
+    showStatus('cache-status', 'Restored defaults.');
+  } catch (error) {
+    console.error('Error resetting cache settings:', error);
+  }
+}
+
+const OAUTH_FIELDS = {
+  clientId: 'oauth-client-id',
+  deviceCodeUrl: 'oauth-device-code-url',
+  tokenUrl: 'oauth-token-url',
+  scope: 'oauth-scope'
+};
+
+async function loadOAuthSettings() {
+  try {
+    const { oauthSettings } = await chrome.storage.local.get('oauthSettings');
+    renderOAuthSettings(resolveOAuthSettings(oauthSettings));
+  } catch (error) {
+    console.error('Error loading sign-in settings:', error);
+  }
+}
+
+function renderOAuthSettings(settings) {
+  Object.keys(OAUTH_FIELDS).forEach(key => {
+    document.getElementById(OAUTH_FIELDS[key]).value = settings[key];
+  });
+}
+
+async function saveOAuthSettings() {
+  const oauthSettings = {};
+  Object.keys(OAUTH_FIELDS).forEach(key => {
+    oauthSettings[key] = document.getElementById(OAUTH_FIELDS[key]).value.trim();
+  });
+  
+  let origins;
+  try {
+    origins = [...new Set([oauthSettings.deviceCodeUrl, oauthSettings.tokenUrl]
+      .filter(url => url)
+      .map(url => new URL(url).origin + '/*'))];
+  } catch (error) {
+    showStatus('oauth-status', 'Enter full URLs such as http://localhost:8080/login/device/code', true);
+    return;
+  }
+  
+  try {
+    // Must run in the click handler, Chrome only shows the prompt for a user gesture
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      showStatus('oauth-status', 'Access to the sign-in endpoints was not granted', true);
+      return;
+    }
+    
+    await chrome.storage.local.set({ oauthSettings });
+    renderOAuthSettings(resolveOAuthSettings(oauthSettings));
+    showStatus('oauth-status', 'Saved!');
+  } catch (error) {
+    console.error('Error saving sign-in settings:', error);
+    showStatus('oauth-status', 'Error saving sign-in settings', true);
+  }
+}
+
+async function resetOAuthSettings() {
+  try {
+    await chrome.storage.local.remove('oauthSettings');
+    renderOAuthSettings(DEFAULT_OAUTH_SETTINGS);
+    showStatus('oauth-status', 'Restored defaults.');
+  } catch (error) {
+    console.error('Error resetting sign-in settings:', error);
+  }
+}
+
+function showStatus(elementId, message, isError = false, duration = 3000) {
+  const statusElement = document.getElementById(elementId);
+  statusElement.textContent = message;
+  statusElement.classList.toggle('error', isError);
+  
+  setTimeout(() => {
+    statusElement.textContent = '';
+  }, duration);
+}
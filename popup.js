@@ -1,19 +1,42 @@
 // GitHub PR Contributor Sorter - Popup Script
 
+const SORT_KEY_OPTIONS = [
+  { value: 'contributor:asc', label: 'New contributors first' },
+  { value: 'contributor:desc', label: 'Existing contributors first' },
+  { value: 'history:asc', label: 'Fewest merged PRs first' },
+  { value: 'history:desc', label: 'Most merged PRs first' },
+  { value: 'age:asc', label: 'Oldest first' },
+  { value: 'age:desc', label: 'Newest first' },
+  { value: 'size:asc', label: 'Smallest diff first' },
+  { value: 'size:desc', label: 'Largest diff first' },
+  { value: 'review:asc', label: 'Needs review first' },
+  { value: 'review:desc', label: 'Approved first' },
+  { value: 'ci:asc', label: 'Failing CI first' },
+  { value: 'ci:desc', label: 'Passing CI first' },
+  { value: 'draft:asc', label: 'Ready for review first' },
+  { value: 'draft:desc', label: 'Drafts first' }
+];
+
 document.addEventListener('DOMContentLoaded', async () => {
   await checkCurrentPage();
   await loadCurrentSettings();
+  await loadCacheStats();
   setupEventListeners();
   setupSortingControls();
 });
 
+async function isPullRequestsTab(tab) {
+  const { enterpriseHosts } = await chrome.storage.local.get('enterpriseHosts');
+  return !!tab.url && isPullRequestsUrl(tab.url, enterpriseHosts);
+}
+
 async function checkCurrentPage() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     const statusElement = document.getElementById('page-status');
     const sortingSection = document.getElementById('sorting-section');
     
-    if (tab.url && tab.url.includes('github.com') && tab.url.includes('/pulls')) {
+    if (await isPullRequestsTab(tab)) {
       statusElement.className = 'status active';
       statusElement.innerHTML = '<span>✅ Extension is active on this page</span>';
       sortingSection.style.display = 'block';
@@ -29,18 +52,38 @@ async function checkCurrentPage() {
 
 async function loadCurrentSettings() {
   try {
-    const result = await chrome.storage.local.get(['prSortOrder', 'githubToken']);
-    const sortOrder = result.prSortOrder || 'default';
-    const githubToken = result.githubToken || '';
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const repoFullName = tab.url ? getRepoFullNameFromUrl(tab.url) : null;
+    const result = await chrome.storage.local.get(PREFERENCE_STORAGE_KEYS.concat(['prSortAllPages']));
+    const credentials = await getCredentials();
+    const { deviceFlow } = await chrome.storage.session.get('deviceFlow');
+    const preferences = resolvePreferences(result, repoFullName);
+    const sortOrder = preferences.sortOrder || 'default';
+    const githubToken = credentials.githubToken || '';
+    
+    document.getElementById('sort-all-pages').checked = !!result.prSortAllPages;
+    renderSortChain(preferences.sortChain || DEFAULT_SORT_CHAIN);
+    document.getElementById('filter-mode').value = preferences.filterMode || 'all';
+    document.getElementById('filter-collapse').checked = !!preferences.collapseFiltered;
+    document.getElementById('filter-hide-bots').checked = preferences.botHandling === 'hide';
+    updateCurrentFilterDisplay();
+    renderPreferenceScopes(repoFullName, preferences.scope);
+    updateRateLimitDisplay(tab.url ? new URL(tab.url).hostname : GITHUB_HOST);
     
     updateCurrentSortDisplay(sortOrder);
     updateSortButtonStates(sortOrder);
     updateTokenStatus(githubToken);
     updateAPIMode(githubToken);
+    renderAuthState(credentials.githubAuth);
+    renderDeviceFlow(deviceFlow);
+    renderTokenPersistence(await getCredentialPersistence(), !!githubToken);
     
-    // Load token into input field (masked)
+    // The token itself never goes back into the page, only its last characters
+    const tokenInput = document.getElementById('github-token');
+    tokenInput.value = '';
+    tokenInput.placeholder = githubToken ? `Saved token ${maskToken(githubToken)}` : 'ghp_xxxxxxxxxxxxxxxxxxxx';
     if (githubToken) {
-      document.getElementById('github-token').value = githubToken;
+      verifyToken(null, tab);
     }
   } catch (error) {
     console.error('Error loading current settings:', error);
@@ -73,9 +116,62 @@ function setupEventListeners() {
     showHelp();
   });
 
+  document.getElementById('hosts-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Options page
+  document.getElementById('options-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  document.getElementById('dashboard-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    window.close();
+  });
+
+  // Per-repository preferences
+  document.getElementById('preference-scope').addEventListener('change', updatePreferenceSource);
+  document.getElementById('clear-preference').addEventListener('click', clearScopedPreference);
+
+  // Cache management
+  document.getElementById('cache-refresh').addEventListener('click', forceRefreshPRs);
+  document.getElementById('cache-clear-repo').addEventListener('click', () => clearCache(true));
+  document.getElementById('cache-clear-all').addEventListener('click', () => clearCache(false));
+
   // Token management
   document.getElementById('save-token').addEventListener('click', saveGitHubToken);
   document.getElementById('clear-token').addEventListener('click', clearGitHubToken);
+
+  // Remembering the token across restarts
+  document.getElementById('remember-token').addEventListener('change', toggleTokenPersistence);
+  document.getElementById('passphrase-submit').addEventListener('click', enableTokenPersistence);
+  document.getElementById('unlock-token').addEventListener('click', unlockSavedToken);
+
+  // Sign in with GitHub
+  document.getElementById('sign-in').addEventListener('click', startSignIn);
+  document.getElementById('sign-out').addEventListener('click', signOut);
+  document.getElementById('device-open').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: e.target.dataset.url });
+  });
+  document.getElementById('device-cancel').addEventListener('click', async (e) => {
+    e.preventDefault();
+    await chrome.runtime.sendMessage({ type: 'CANCEL_SIGN_IN' });
+  });
+
+  // The background finishes signing in, possibly while the popup is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.deviceFlow) {
+      renderDeviceFlow(changes.deviceFlow.newValue);
+      if (changes.deviceFlow.newValue && changes.deviceFlow.newValue.status === 'complete') {
+        loadCurrentSettings();
+      }
+    }
+  });
 }
 
 function setupSortingControls() {
@@ -91,13 +187,31 @@ function setupSortingControls() {
   document.getElementById('sort-default').addEventListener('click', () => {
     triggerSort('default');
   });
+
+  document.getElementById('sort-custom').addEventListener('click', () => {
+    triggerSort('custom');
+  });
+
+  document.getElementById('add-sort-key').addEventListener('click', () => {
+    const chain = readSortChain();
+    chain.push({ key: 'age', direction: 'asc' });
+    renderSortChain(chain);
+  });
+
+  document.getElementById('sort-all-pages').addEventListener('change', (e) => {
+    chrome.storage.local.set({ prSortAllPages: e.target.checked });
+  });
+
+  document.getElementById('filter-mode').addEventListener('change', triggerFilter);
+  document.getElementById('filter-collapse').addEventListener('change', triggerFilter);
+  document.getElementById('filter-hide-bots').addEventListener('change', triggerFilter);
 }
 
 async function triggerSort(sortOrder) {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
-    if (!tab.url || !tab.url.includes('github.com') || !tab.url.includes('/pulls')) {
+    if (!(await isPullRequestsTab(tab))) {
       showSortStatus('Please navigate to a GitHub pull requests page first', 'error');
       return;
     }
@@ -111,7 +225,10 @@ async function triggerSort(sortOrder) {
     // Send message to content script
     chrome.tabs.sendMessage(tab.id, {
       type: 'SORT_PRS',
-      sortOrder: sortOrder
+      sortOrder: sortOrder,
+      sortChain: readSortChain(),
+      preferenceScope: document.getElementById('preference-scope').value,
+      allPages: document.getElementById('sort-all-pages').checked
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('Error communicating with content script:', chrome.runtime.lastError);
@@ -121,9 +238,15 @@ async function triggerSort(sortOrder) {
 
       if (response && response.success) {
         showSortStatus(response.message || 'Sort applied successfully!', 'success');
-        // Update current sort in storage and UI
-        chrome.storage.local.set({ prSortOrder: sortOrder });
+        // The content script saves the preference for the selected scope
         updateCurrentSortDisplay(sortOrder);
+        markPreferenceSaved();
+        
+        // Default shows every PR until the page reloads, the saved filter is kept for then
+        if (sortOrder === 'default') {
+          document.getElementById('current-filter').textContent = 'Show all PRs until the page reloads';
+        }
+        
       } else {
         const errorMessage = response && response.message ? response.message : 'Error applying sort. Check console for details.';
         
@@ -141,21 +264,172 @@ async function triggerSort(sortOrder) {
   }
 }
 
+async function triggerFilter() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!(await isPullRequestsTab(tab))) {
+      showSortStatus('Please navigate to a GitHub pull requests page first', 'error');
+      return;
+    }
+
+    const filterMode = document.getElementById('filter-mode').value;
+    const collapse = document.getElementById('filter-collapse').checked;
+    
+    showSortStatus('Filtering pull requests...', 'loading');
+
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'FILTER_PRS',
+      filterMode: filterMode,
+      collapse: collapse,
+      preferenceScope: document.getElementById('preference-scope').value,
+      botHandling: document.getElementById('filter-hide-bots').checked ? 'hide' : 'bottom'
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error communicating with content script:', chrome.runtime.lastError);
+        showSortStatus('Error: Extension not loaded on this page. Try refreshing.', 'error');
+        return;
+      }
+
+      if (response && response.success) {
+        showSortStatus(response.message, 'success');
+        updateCurrentFilterDisplay();
+        markPreferenceSaved();
+      } else {
+        showSortStatus(response && response.message ? response.message : 'Error applying filter. Check console for details.', 'error');
+      }
+    });
+
+  } catch (error) {
+    console.error('Error triggering filter:', error);
+    showSortStatus('Unexpected error occurred', 'error');
+  }
+}
+
+function renderPreferenceScopes(repoFullName, activeScope) {
+  const select = document.getElementById('preference-scope');
+  const scopeLabels = {
+    'global': 'All repositories'
+  };
+  
+  if (repoFullName) {
+    scopeLabels[repoFullName.split('/')[0] + '/*'] = 'All ' + repoFullName.split('/')[0] + ' repositories';
+    scopeLabels[repoFullName] = 'This repository (' + repoFullName + ')';
+  }
+  
+  select.textContent = '';
+  getPreferenceScopes(repoFullName).reverse().forEach(scope => {
+    const option = document.createElement('option');
+    option.value = scope;
+    option.textContent = scopeLabels[scope];
+    select.appendChild(option);
+  });
+  
+  select.value = activeScope;
+  select.dataset.savedScope = activeScope;
+  updatePreferenceSource();
+}
+
+function markPreferenceSaved() {
+  const select = document.getElementById('preference-scope');
+  
+  // A narrower scope now overrides the broader one it was loaded from
+  const scopes = Array.from(select.options).map(option => option.value).reverse();
+  if (scopes.indexOf(select.value) > scopes.indexOf(select.dataset.savedScope)) {
+    select.dataset.savedScope = select.value;
+  }
+  updatePreferenceSource();
+}
+
+function updatePreferenceSource() {
+  const select = document.getElementById('preference-scope');
+  const savedScope = select.dataset.savedScope;
+  const source = document.getElementById('preference-source');
+  
+  source.textContent = savedScope === 'global'
+    ? 'Using the global preference'
+    : 'Using the preference saved for ' + savedScope;
+  document.getElementById('clear-preference').style.display = savedScope === 'global' ? 'none' : 'inline-block';
+}
+
+async function clearScopedPreference() {
+  const select = document.getElementById('preference-scope');
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_SORT_PREFERENCE', scope: select.dataset.savedScope });
+    showSortStatus('Preference for ' + select.dataset.savedScope + ' removed. Reload the page to apply.', 'success');
+    await loadCurrentSettings();
+  } catch (error) {
+    console.error('Error clearing preference:', error);
+    showSortStatus('Error clearing preference', 'error');
+  }
+}
+
+function updateCurrentFilterDisplay() {
+  const select = document.getElementById('filter-mode');
+  document.getElementById('current-filter').textContent = select.options[select.selectedIndex].textContent;
+}
+
 function updateSortButtonStates(activeSortOrder) {
   // Reset all buttons to secondary style
-  const buttons = ['sort-new-first', 'sort-existing-first', 'sort-default'];
+  const buttons = ['sort-new-first', 'sort-existing-first', 'sort-default', 'sort-custom'];
   buttons.forEach(buttonId => {
     const button = document.getElementById(buttonId);
-    button.className = 'btn secondary';
+    button.classList.add('secondary');
   });
 
   // Set active button to primary style
   const activeButton = document.getElementById('sort-' + activeSortOrder);
   if (activeButton) {
-    activeButton.className = 'btn';
+    activeButton.classList.remove('secondary');
   }
 }
 
+function renderSortChain(chain) {
+  const list = document.getElementById('sort-chain-list');
+  list.textContent = '';
+  
+  chain.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'sort-chain-row';
+    
+    const position = document.createElement('span');
+    position.textContent = index === 0 ? 'Sort by' : 'then';
+    
+    const select = document.createElement('select');
+    SORT_KEY_OPTIONS.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      select.appendChild(optionElement);
+    });
+    select.value = entry.key + ':' + entry.direction;
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'sort-chain-remove';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove';
+    removeButton.disabled = chain.length === 1;
+    removeButton.addEventListener('click', () => {
+      const updatedChain = readSortChain();
+      updatedChain.splice(index, 1);
+      renderSortChain(updatedChain);
+    });
+    
+    row.appendChild(position);
+    row.appendChild(select);
+    row.appendChild(removeButton);
+    list.appendChild(row);
+  });
+}
+
+function readSortChain() {
+  return Array.from(document.querySelectorAll('#sort-chain-list select')).map(select => {
+    const [key, direction] = select.value.split(':');
+    return { key, direction };
+  });
+}
+
 function showSortStatus(message, type) {
   const statusContainer = document.getElementById('sort-status');
   const statusText = document.getElementById('sort-status-text');
@@ -176,53 +450,426 @@ function updateCurrentSortDisplay(sortOrder) {
   const sortLabels = {
     'new-first': 'New Contributors First',
     'existing-first': 'Existing Contributors First',
+    'custom': 'Custom Sort Chain',
     'default': 'Default'
   };
   
   currentSortElement.textContent = sortLabels[sortOrder] || 'Default';
 }
 
+async function loadCacheStats() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const onPullRequests = await isPullRequestsTab(tab);
+    const stats = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+    if (stats.error) throw new Error(stats.error);
+    const lookups = stats.hits + stats.misses;
+    
+    document.getElementById('cache-entries').textContent = stats.entries;
+    document.getElementById('cache-bytes').textContent = `(${formatBytes(stats.bytes)})`;
+    document.getElementById('cache-hit-rate').textContent = lookups > 0
+      ? `${Math.round(stats.hits / lookups * 100)}% of ${lookups} lookups`
+      : 'No lookups yet';
+    
+    const reposElement = document.getElementById('cache-repos');
+    reposElement.textContent = '';
+    stats.repos.slice(0, 5).forEach(({ repo, entries }) => {
+      const row = document.createElement('div');
+      row.className = 'cache-repo';
+      const name = document.createElement('span');
+      name.textContent = repo;
+      const count = document.createElement('span');
+      count.textContent = entries;
+      row.appendChild(name);
+      row.appendChild(count);
+      reposElement.appendChild(row);
+    });
+    if (stats.repos.length > 5) {
+      const more = document.createElement('div');
+      more.className = 'cache-repo';
+      more.textContent = `and ${stats.repos.length - 5} more repositories`;
+      reposElement.appendChild(more);
+    }
+    
+    // Both need a repository to act on
+    document.getElementById('cache-refresh').disabled = !onPullRequests;
+    document.getElementById('cache-clear-repo').disabled = !onPullRequests;
+  } catch (error) {
+    console.error('Error loading cache stats:', error);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function clearCache(currentRepoOnly) {
+  try {
+    let repo = null;
+    
+    if (currentRepoOnly) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const [owner, name] = getRepoFullNameFromUrl(tab.url).split('/');
+      repo = { host: new URL(tab.url).hostname, owner, repo: name };
+    }
+    
+    const { cleared, error } = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE', repo });
+    if (error) throw new Error(error);
+    
+    showCacheStatus(`Cleared ${cleared} cached PRs${repo ? ' for ' + repo.owner + '/' + repo.repo : ''}`);
+    await loadCacheStats();
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    showCacheStatus('Error clearing cache');
+  }
+}
+
+async function forceRefreshPRs() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    showCacheStatus('Refreshing pull requests from GitHub...');
+    
+    chrome.tabs.sendMessage(tab.id, { type: 'REFRESH_PRS' }, async (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error communicating with content script:', chrome.runtime.lastError);
+        showCacheStatus('Error: Extension not loaded on this page. Try refreshing.');
+        return;
+      }
+      
+      showCacheStatus(response && response.message ? response.message : 'Error refreshing PRs');
+      await loadCacheStats();
+    });
+  } catch (error) {
+    console.error('Error refreshing PRs:', error);
+    showCacheStatus('Unexpected error occurred');
+  }
+}
+
+function showCacheStatus(message) {
+  const statusElement = document.getElementById('cache-status');
+  statusElement.textContent = message;
+  
+  setTimeout(() => {
+    if (statusElement.textContent === message) {
+      statusElement.textContent = '';
+    }
+  }, 3000);
+}
+
 async function saveGitHubToken() {
   const tokenInput = document.getElementById('github-token');
   const token = tokenInput.value.trim();
   
-  if (token && !token.startsWith('ghp_') && !token.startsWith('github_pat_')) {
-    showSortStatus('Invalid token format. Must start with ghp_ or github_pat_', 'error');
+  if (!token) {
+    showTokenMessage('Paste a token to save it, or use Clear to remove the saved one', 'error');
+    return;
+  }
+  
+  if (!token.startsWith('ghp_') && !token.startsWith('github_pat_')) {
+    showTokenMessage('Invalid token format. Must start with ghp_ (classic) or github_pat_ (fine-grained)', 'error');
     return;
   }
   
   try {
-    await chrome.storage.local.set({ githubToken: token });
-    updateTokenStatus(token);
-    updateAPIMode(token);
-    showSortStatus(token ? 'Token saved successfully!' : 'Token cleared!', 'success');
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    showTokenMessage('Checking token with GitHub...');
+    
+    const info = await verifyToken(token, tab);
+    if (info && !info.valid) {
+      // Don't store a token GitHub has already refused
+      return;
+    }
+    
+    // A pasted token replaces any signed-in one
+    await setCredentials({ githubToken: token, githubAuth: null });
+    tokenInput.value = '';
+    tokenInput.placeholder = `Saved token ${maskToken(token)}`;
+    renderAuthState(null);
+    renderTokenPersistence(await getCredentialPersistence(), true);
+    updateTokenStatus(token, info);
+    updateAPIMode(token, info);
+    if (!info) {
+      showTokenMessage('Token saved, but GitHub could not be reached to check it', 'warning');
+    }
   } catch (error) {
     console.error('Error saving token:', error);
-    showSortStatus('Error saving token', 'error');
+    showTokenMessage('Error saving token', 'error');
   }
 }
 
 async function clearGitHubToken() {
   try {
-    await chrome.storage.local.remove('githubToken');
+    await clearCredentials();
     document.getElementById('github-token').value = '';
+    document.getElementById('github-token').placeholder = 'ghp_xxxxxxxxxxxxxxxxxxxx';
+    renderTokenPersistence(await getCredentialPersistence(), false);
     updateTokenStatus('');
     updateAPIMode('');
-    showSortStatus('Token cleared successfully!', 'success');
+    showTokenMessage('Token cleared successfully!');
   } catch (error) {
     console.error('Error clearing token:', error);
-    showSortStatus('Error clearing token', 'error');
+    showTokenMessage('Error clearing token', 'error');
+  }
+}
+
+async function startSignIn() {
+  try {
+    showTokenMessage('Contacting GitHub...');
+    
+    const state = await chrome.runtime.sendMessage({ type: 'START_SIGN_IN' });
+    if (state.error) throw new Error(state.error);
+    
+    document.getElementById('token-details').style.display = 'none';
+    renderDeviceFlow(state);
+  } catch (error) {
+    console.error('Error starting sign-in:', error);
+    showTokenMessage('Could not start signing in: ' + error.message, 'error');
+  }
+}
+
+async function signOut() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'SIGN_OUT' });
+    document.getElementById('github-token').value = '';
+    document.getElementById('github-token').placeholder = 'ghp_xxxxxxxxxxxxxxxxxxxx';
+    renderTokenPersistence(await getCredentialPersistence(), false);
+    renderAuthState(null);
+    updateTokenStatus('');
+    updateAPIMode('');
+    showTokenMessage('Signed out');
+  } catch (error) {
+    console.error('Error signing out:', error);
+    showTokenMessage('Error signing out', 'error');
   }
 }
 
-function updateTokenStatus(token) {
+function renderTokenPersistence({ enabled, locked }, hasToken) {
+  const checkbox = document.getElementById('remember-token');
+  
+  checkbox.checked = enabled;
+  // Nothing to remember until there's a token, but it can always be turned off
+  checkbox.disabled = !enabled && !hasToken;
+  document.getElementById('passphrase-area').style.display = 'none';
+  document.getElementById('unlock-area').style.display = locked ? 'flex' : 'none';
+  document.getElementById('token-persistence').style.display = locked ? 'none' : 'block';
+}
+
+async function toggleTokenPersistence(e) {
+  if (e.target.checked) {
+    // Enabling waits for a passphrase
+    document.getElementById('passphrase-area').style.display = 'flex';
+    document.getElementById('token-passphrase').focus();
+    return;
+  }
+  
+  try {
+    await disableCredentialPersistence();
+    document.getElementById('passphrase-area').style.display = 'none';
+    showTokenMessage('The token will be forgotten when the browser closes');
+  } catch (error) {
+    console.error('Error disabling token persistence:', error);
+    showTokenMessage('Error updating token storage', 'error');
+  }
+}
+
+async function enableTokenPersistence() {
+  const passphraseInput = document.getElementById('token-passphrase');
+  const passphrase = passphraseInput.value;
+  
+  if (passphrase.length < 8) {
+    showTokenMessage('Use a passphrase of at least 8 characters', 'error');
+    return;
+  }
+  
+  try {
+    await enableCredentialPersistence(passphrase);
+    passphraseInput.value = '';
+    renderTokenPersistence({ enabled: true, locked: false }, true);
+    showTokenMessage('Token encrypted. Enter the passphrase after restarting the browser to unlock it.');
+  } catch (error) {
+    console.error('Error enabling token persistence:', error);
+    showTokenMessage('Error encrypting token', 'error');
+  }
+}
+
+async function unlockSavedToken() {
+  const passphraseInput = document.getElementById('unlock-passphrase');
+  
+  try {
+    await unlockCredentials(passphraseInput.value);
+    passphraseInput.value = '';
+    await loadCurrentSettings();
+  } catch (error) {
+    console.error('Error unlocking token:', error);
+    showTokenMessage(error.message === 'Wrong passphrase' ? 'Wrong passphrase' : 'Error unlocking token', 'error');
+  }
+}
+
+// A signed-in token replaces the token field with a sign-out button
+function renderAuthState(githubAuth) {
+  const signedIn = !!(githubAuth && githubAuth.method === 'oauth');
+  
+  document.getElementById('signed-in-area').style.display = signedIn ? 'flex' : 'none';
+  document.getElementById('sign-in-area').style.display = signedIn ? 'none' : 'block';
+  document.getElementById('pat-area').style.display = signedIn ? 'none' : 'block';
+}
+
+function renderDeviceFlow(state) {
+  const pending = !!(state && state.status === 'pending' && state.expiresAt > Date.now());
+  
+  document.getElementById('device-flow').style.display = pending ? 'block' : 'none';
+  document.getElementById('sign-in').style.display = pending ? 'none' : 'flex';
+  
+  if (pending) {
+    document.getElementById('device-code').textContent = state.userCode;
+    document.getElementById('device-open').dataset.url = state.verificationUri;
+  } else if (state && state.status === 'error') {
+    showTokenMessage(state.message, 'error');
+    // Shown once, the next popup starts clean
+    chrome.storage.session.remove('deviceFlow');
+  }
+}
+
+// Asks GitHub about `token` (or the saved one) and shows the answer. Resolves
+// with the token details, or null if GitHub couldn't be reached.
+async function verifyToken(token, tab) {
+  const message = { type: 'VALIDATE_TOKEN', host: GITHUB_HOST, token };
+  
+  // Only github.com pull request lists are checked: Enterprise hosts have their own tokens,
+  // and other pages with two path segments (such as /orgs/octo-org) aren't repositories
+  if (tab && tab.url && isPullRequestsUrl(tab.url)) {
+    [message.owner, message.repo] = getRepoFullNameFromUrl(tab.url).split('/');
+  }
+  
+  try {
+    const info = await chrome.runtime.sendMessage(message);
+    if (info.error) throw new Error(info.error);
+    
+    renderTokenDetails(info);
+    if (info.valid && !token) {
+      updateTokenStatus(true, info);
+      updateAPIMode(true, info);
+    }
+    return info;
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    return null;
+  }
+}
+
+function renderTokenDetails(info) {
+  const details = [];
+  
+  if (!info.valid) {
+    details.push({ text: '❌ ' + info.message, type: 'error' });
+  } else {
+    details.push({ text: '👤 Signed in as @' + info.login });
+    details.push({
+      text: info.scopes === null
+        ? '🔒 Fine-grained token (permissions are set per repository)'
+        : '🔒 Scopes: ' + (info.scopes.length > 0 ? info.scopes.join(', ') : 'none (public data only)')
+    });
+    
+    if (info.expiresAt) {
+      const daysLeft = Math.floor((info.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+      details.push({
+        text: `📅 Expires ${new Date(info.expiresAt).toLocaleDateString()}` + (daysLeft < 7 ? ` (in ${daysLeft} days)` : ''),
+        type: daysLeft < 7 ? 'warning' : null
+      });
+    } else {
+      details.push({ text: '📅 No expiry date' });
+    }
+    
+    if (info.rateLimit.limit) {
+      details.push({ text: `📉 ${info.rateLimit.remaining.toLocaleString()} of ${info.rateLimit.limit.toLocaleString()} requests left this hour` });
+    }
+    
+    if (info.repoAccess && !info.repoAccess.visible) {
+      details.push({
+        text: `⚠️ This token can't see ${info.repoAccess.repo}. If it's a private repository, give the token access to it or sorting will fail.`,
+        type: 'warning'
+      });
+    } else if (info.repoAccess && info.repoAccess.private) {
+      details.push({ text: `✅ Has access to the private repository ${info.repoAccess.repo}` });
+    }
+  }
+  
+  const container = document.getElementById('token-details');
+  container.textContent = '';
+  details.forEach(({ text, type }) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (type) line.className = type;
+    container.appendChild(line);
+  });
+  container.style.display = 'block';
+}
+
+function showTokenMessage(message, type) {
+  const container = document.getElementById('token-details');
+  container.textContent = '';
+  const line = document.createElement('div');
+  line.textContent = message;
+  if (type) line.className = type;
+  container.appendChild(line);
+  container.style.display = 'block';
+}
+
+function updateTokenStatus(token, info) {
   const statusElement = document.getElementById('token-status');
-  statusElement.textContent = token ? 'Set (Authenticated)' : 'Not Set';
+  if (!token) {
+    statusElement.textContent = 'Not Set';
+  } else if (info && info.valid) {
+    statusElement.textContent = `Set (@${info.login})`;
+  } else {
+    statusElement.textContent = typeof token === 'string' ? `Set (${maskToken(token)}, not verified)` : 'Set';
+  }
+}
+
+async function updateRateLimitDisplay(host) {
+  const quotaElement = document.getElementById('api-quota');
+  
+  try {
+    const { rateLimits } = await chrome.runtime.sendMessage({ type: 'GET_RATE_LIMIT', host });
+    const resourceLabels = { core: 'REST', search: 'Search', graphql: 'GraphQL' };
+    const resources = Object.keys(rateLimits);
+    
+    if (resources.length === 0) {
+      quotaElement.textContent = 'No requests yet';
+      return;
+    }
+    
+    const exhausted = resources.find(resource => rateLimits[resource].exhausted);
+    if (exhausted) {
+      quotaElement.textContent = `⏳ ${resourceLabels[exhausted]} limit reached, resets at ${formatTime(rateLimits[exhausted].resetAt)}`;
+      return;
+    }
+    
+    quotaElement.textContent = resources.map(resource => {
+      const { remaining, limit } = rateLimits[resource];
+      return `${resourceLabels[resource]} ${remaining}/${limit}`;
+    }).join(' · ') + ` (resets ${formatTime(Math.min(...resources.map(resource => rateLimits[resource].resetAt)))})`;
+  } catch (error) {
+    console.error('Error loading rate limit:', error);
+  }
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-function updateAPIMode(token) {
+function updateAPIMode(token, info) {
   const modeElement = document.getElementById('api-mode');
-  modeElement.textContent = token ? 'GraphQL API (Unlimited)' : 'REST API (Limited)';
+  
+  if (!token) {
+    modeElement.textContent = 'REST API (60 requests/hour)';
+  } else if (info && info.valid && info.rateLimit.limit) {
+    modeElement.textContent = `GraphQL API (${info.rateLimit.limit.toLocaleString()} requests/hour)`;
+  } else {
+    modeElement.textContent = 'GraphQL API';
+  }
 }
 
 function showHelp() {
@@ -237,22 +884,50 @@ This extension helps you prioritize pull requests by sorting them based on contr
 2. Add a GitHub token (optional but recommended for unlimited requests)
 3. Click the sorting buttons to organize PRs by contributor status
 
-👥 Contributor Types:
-• New Contributors: FIRST_TIMER, FIRST_TIME_CONTRIBUTOR, or NONE
-• Existing Contributors: CONTRIBUTOR, COLLABORATOR, MEMBER, or OWNER
+👥 Contributor Tiers (newest first):
+FIRST_TIMER, FIRST_TIME_CONTRIBUTOR, NONE, CONTRIBUTOR, COLLABORATOR, MEMBER, OWNER
+Bots (Dependabot, Renovate and other [bot] accounts) get their own badge and always sort last.
+Each tier's rank, label and badge colour can be changed on the options page.
 
 📊 Sorting Options:
-• New Contributors First: Prioritizes PRs from new contributors
-• Existing Contributors First: Shows experienced contributors first
+• New Contributors First: Sorts by tier rank, lowest first
+• Existing Contributors First: Sorts by tier rank, highest first
 • Default Order: Restores GitHub's original sorting
+• Custom Sort Chain: Combine keys such as contributor tier, merged PR count, age, diff size, review state, CI status and draft state. Later keys break ties in earlier ones.
+• Sort across all pages: Loads every PR matching the current search into one sorted list
+
+🔍 Filters:
+• Hide PRs that don't match, or collapse them to a thin line
+• Default Order clears any active filter
+
+💾 Preferences:
+• Sort and filter choices are saved for the scope picked under Current Settings
+• A repository preference beats an owner-wide one (owner/*), which beats the global one
+
+⏳ Rate Limits:
+• The extension tracks how much API quota is left and stops just before running out
+• PRs loaded so far are still sorted, and the rest load automatically once the limit resets
+• The reset time is shown under Current Settings
+
+🗄️ Cache:
+• PR data is cached and reused until it expires or the PR changes
+• Force Refresh reloads the current page's PRs straight from GitHub
+• Clear Repo or Clear All if something looks out of date
 
 🔑 GitHub Token:
-• Optional but recommended for unlimited API requests
-• Requires 'public_repo' scope
-• Stored securely in your browser's local storage
+• Click "Sign in with GitHub" and enter the code on GitHub, or paste a personal access token
+• Optional but recommended: raises the limit from 60 to 5,000 requests an hour
+• Classic tokens (ghp_) need the 'public_repo' scope, or 'repo' for private repositories
+• Fine-grained tokens (github_pat_) need read access to pull requests on the repositories you sort
+• The token is kept in memory until the browser closes. Tick "Remember across browser restarts" to keep it encrypted with a passphrase instead
+• Tokens are checked with GitHub when saved. The popup shows the account, scopes, expiry and quota, and warns if the token can't see the current repository
+
+🏢 GitHub Enterprise Server:
+• Add your company's host and its token on the options page
+• The extension asks for access to that host and then runs there too
 
 🔐 Privacy:
-This extension only reads publicly available PR data from GitHub's API. Your token is stored locally and never transmitted anywhere except to GitHub's official API.
+This extension only reads publicly available PR data from GitHub's API. Your token stays in this browser and is never transmitted anywhere except to GitHub's official API.
 
 Need more help? Check the GitHub repository for this extension.
   `;
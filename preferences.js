@@ -0,0 +1,95 @@
+// GitHub PR Contributor Sorter - Sort and Filter Preferences
+// Shared by the content script, popup and background. Preferences can be
+// saved for one repository (`owner/repo`), for every repository of an
+// owner (`owner/*`) or globally. The most specific match wins.
+
+// Global values keep the storage keys used before per-repo preferences existed
+const GLOBAL_PREFERENCE_KEYS = {
+  sortOrder: 'prSortOrder',
+  sortChain: 'prSortChain',
+  filterMode: 'prFilterMode',
+  collapseFiltered: 'prCollapseFiltered',
+  botHandling: 'botHandling'
+};
+
+// Used when no custom sort chain has been saved
+const DEFAULT_SORT_CHAIN = [
+  { key: 'contributor', direction: 'asc' },
+  { key: 'age', direction: 'asc' },
+  { key: 'size', direction: 'asc' }
+];
+
+const PREFERENCE_STORAGE_KEYS = ['repoPreferences'].concat(Object.values(GLOBAL_PREFERENCE_KEYS));
+
+function getRepoFullNameFromUrl(url) {
+  try {
+    const pathParts = new URL(url).pathname.split('/');
+    return pathParts[1] && pathParts[2] ? `${pathParts[1]}/${pathParts[2]}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Scopes from least to most specific
+function getPreferenceScopes(repoFullName) {
+  if (!repoFullName) return ['global'];
+  return ['global', repoFullName.split('/')[0] + '/*', repoFullName];
+}
+
+// `stored` is the result of reading PREFERENCE_STORAGE_KEYS from storage
+function resolvePreferences(stored, repoFullName) {
+  const resolved = { scope: 'global' };
+  const repoPreferences = stored.repoPreferences || {};
+  
+  Object.keys(GLOBAL_PREFERENCE_KEYS).forEach(key => {
+    if (stored[GLOBAL_PREFERENCE_KEYS[key]] !== undefined) {
+      resolved[key] = stored[GLOBAL_PREFERENCE_KEYS[key]];
+    }
+  });
+  
+  getPreferenceScopes(repoFullName).slice(1).forEach(scope => {
+    if (repoPreferences[scope]) {
+      Object.assign(resolved, repoPreferences[scope]);
+      resolved.scope = scope;
+    }
+  });
+  
+  return resolved;
+}
+
+// Writes are read-modify-write on one storage key, so run them one at a time
+let preferenceWriteQueue = Promise.resolve();
+
+function writePreferences(scope, values) {
+  preferenceWriteQueue = preferenceWriteQueue
+    .catch(() => {})
+    .then(() => storePreferences(scope, values));
+  return preferenceWriteQueue;
+}
+
+async function storePreferences(scope, values) {
+  if (scope === 'global') {
+    const update = {};
+    Object.keys(values).forEach(key => {
+      if (GLOBAL_PREFERENCE_KEYS[key]) {
+        update[GLOBAL_PREFERENCE_KEYS[key]] = values[key];
+      }
+    });
+    return chrome.storage.local.set(update);
+  }
+  
+  const { repoPreferences = {} } = await chrome.storage.local.get('repoPreferences');
+  repoPreferences[scope] = Object.assign({}, repoPreferences[scope], values);
+  return chrome.storage.local.set({ repoPreferences });
+}
+
+function clearPreferences(scope) {
+  preferenceWriteQueue = preferenceWriteQueue
+    .catch(() => {})
+    .then(async () => {
+      const { repoPreferences = {} } = await chrome.storage.local.get('repoPreferences');
+      delete repoPreferences[scope];
+      return chrome.storage.local.set({ repoPreferences });
+    });
+  return preferenceWriteQueue;
+}
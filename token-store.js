@@ -0,0 +1,193 @@
+// GitHub PR Contributor Sorter - Token Storage
+// Shared by the popup, options page and background.
+// The github.com token (`githubToken`), its sign-in details (`githubAuth`) and
+// the Enterprise Server tokens by host (`enterpriseTokens`) live in chrome.storage.session, which is kept in memory, cleared when the
+// browser closes and out of reach of content scripts.
+//
+// Users can opt in to keeping them across restarts. They are then also stored
+// in chrome.storage.local as `encryptedCredentials`, encrypted with AES-GCM
+// under a key derived from their passphrase. The derived key stays in session
+// storage while unlocked so the background can re-encrypt refreshed tokens.
+
+const CREDENTIAL_KEYS = ['githubToken', 'githubAuth', 'enterpriseTokens'];
+
+const PASSPHRASE_ITERATIONS = 250000;
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveCredentialKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PASSPHRASE_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function getCredentials() {
+  return chrome.storage.session.get(CREDENTIAL_KEYS);
+}
+
+// Writes `credentials` (null values are removed) and keeps the encrypted copy in step.
+// A locked copy can't be re-encrypted and would bring back stale credentials when
+// unlocked, so it's dropped and the user can turn remembering on again.
+async function setCredentials(credentials) {
+  if ((await getCredentialPersistence()).locked) {
+    await disableCredentialPersistence();
+  }
+  
+  const updates = {};
+  const removals = [];
+  
+  Object.keys(credentials).forEach(key => {
+    if (credentials[key]) {
+      updates[key] = credentials[key];
+    } else {
+      removals.push(key);
+    }
+  });
+  
+  await chrome.storage.session.set(updates);
+  await chrome.storage.session.remove(removals);
+  await encryptStoredCredentials();
+}
+
+async function clearCredentials() {
+  await setCredentials({ githubToken: null, githubAuth: null });
+}
+
+// The host itself stays listed in `enterpriseHosts`, only its token is a credential
+async function setEnterpriseToken(host, token) {
+  const { enterpriseTokens = {} } = await getCredentials();
+  
+  if (token) {
+    enterpriseTokens[host] = token;
+  } else {
+    delete enterpriseTokens[host];
+  }
+  
+  await setCredentials({ enterpriseTokens: Object.keys(enterpriseTokens).length > 0 ? enterpriseTokens : null });
+}
+
+async function encryptStoredCredentials() {
+  const { credentialKey } = await chrome.storage.session.get('credentialKey');
+  if (!credentialKey) return;
+  
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(credentialKey.key), 'AES-GCM', false, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(await getCredentials()));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  
+  await chrome.storage.local.set({
+    encryptedCredentials: {
+      salt: credentialKey.salt,
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(data)
+    }
+  });
+}
+
+// Starts keeping the credentials across browser restarts, encrypted under `passphrase`
+async function enableCredentialPersistence(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveCredentialKey(passphrase, salt);
+  
+  await chrome.storage.session.set({
+    credentialKey: {
+      salt: bytesToBase64(salt),
+      key: bytesToBase64(await crypto.subtle.exportKey('raw', key))
+    }
+  });
+  await encryptStoredCredentials();
+}
+
+async function disableCredentialPersistence() {
+  await chrome.storage.session.remove('credentialKey');
+  await chrome.storage.local.remove('encryptedCredentials');
+}
+
+async function getCredentialPersistence() {
+  const { encryptedCredentials } = await chrome.storage.local.get('encryptedCredentials');
+  const { credentialKey } = await chrome.storage.session.get('credentialKey');
+  
+  return {
+    enabled: !!encryptedCredentials,
+    locked: !!encryptedCredentials && !credentialKey
+  };
+}
+
+// Decrypts the saved credentials into this browser session. Rejects on a wrong passphrase.
+async function unlockCredentials(passphrase) {
+  const { encryptedCredentials } = await chrome.storage.local.get('encryptedCredentials');
+  if (!encryptedCredentials) {
+    throw new Error('No saved token to unlock');
+  }
+  
+  const key = await deriveCredentialKey(passphrase, base64ToBytes(encryptedCredentials.salt));
+  let plaintext;
+  
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(encryptedCredentials.iv) },
+      key,
+      base64ToBytes(encryptedCredentials.data)
+    );
+  } catch (error) {
+    // AES-GCM fails authentication rather than returning garbage for the wrong key
+    throw new Error('Wrong passphrase');
+  }
+  
+  // Credentials set in this session are newer than the saved ones, so they're kept
+  const saved = JSON.parse(new TextDecoder().decode(plaintext));
+  const current = await getCredentials();
+  Object.keys(current).forEach(credentialKey => delete saved[credentialKey]);
+  
+  await chrome.storage.session.set(Object.assign(saved, {
+    credentialKey: {
+      salt: encryptedCredentials.salt,
+      key: bytesToBase64(await crypto.subtle.exportKey('raw', key))
+    }
+  }));
+  
+  if (Object.keys(current).length > 0) {
+    await encryptStoredCredentials();
+  }
+}
+
+// Earlier versions kept the tokens in plain text in chrome.storage.local, the
+// Enterprise ones as `enterpriseHosts[host].token`
+async function migratePlaintextCredentials() {
+  const legacy = await chrome.storage.local.get(CREDENTIAL_KEYS);
+  if (Object.keys(legacy).length > 0) {
+    await setCredentials(legacy);
+    await chrome.storage.local.remove(CREDENTIAL_KEYS);
+    console.log('Moved the GitHub token out of local storage');
+  }
+  
+  const { enterpriseHosts } = await chrome.storage.local.get('enterpriseHosts');
+  const hosts = Object.keys(enterpriseHosts || {}).filter(host => 'token' in enterpriseHosts[host]);
+  if (hosts.length === 0) return;
+  
+  for (const host of hosts) {
+    if (enterpriseHosts[host].token) {
+      await setEnterpriseToken(host, enterpriseHosts[host].token);
+    }
+    delete enterpriseHosts[host].token;
+  }
+  await chrome.storage.local.set({ enterpriseHosts });
+  console.log(`Moved ${hosts.length} Enterprise host tokens out of local storage`);
+}
+
+// Only ever show the end of a token, e.g. "••••a1b2"
+function maskToken(token) {
+  return token ? '••••' + token.slice(-4) : '';
+}
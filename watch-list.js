@@ -0,0 +1,41 @@
+// GitHub PR Contributor Sorter - Watch List
+// Shared by the options page and the background, which checks the watched
+// repositories on a schedule and notifies about first-time contributor PRs.
+// Stored as `watchSettings`:
+// { repos: ['owner/repo', 'ghe.example.com/owner/repo'], intervalMinutes: 30, slaHours: 48 }
+
+const DEFAULT_WATCH_SETTINGS = {
+  repos: [],
+  intervalMinutes: 30,
+  slaHours: 48
+};
+
+// Each check runs a search per ten repositories, so don't let it run too often
+const MIN_WATCH_INTERVAL_MINUTES = 5;
+
+function resolveWatchSettings(stored) {
+  const settings = Object.assign({}, DEFAULT_WATCH_SETTINGS);
+  
+  if (stored && Array.isArray(stored.repos)) {
+    settings.repos = stored.repos.filter(entry => parseWatchedRepo(entry));
+  }
+  if (stored && Number.isInteger(stored.intervalMinutes)) {
+    settings.intervalMinutes = Math.max(MIN_WATCH_INTERVAL_MINUTES, stored.intervalMinutes);
+  }
+  if (stored && Number.isInteger(stored.slaHours) && stored.slaHours > 0) {
+    settings.slaHours = stored.slaHours;
+  }
+  
+  return settings;
+}
+
+// "owner/repo" is on github.com, "host/owner/repo" on a GitHub Enterprise Server host
+function parseWatchedRepo(entry) {
+  const parts = (entry || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '').split('/');
+  const [host, owner, repo] = parts.length === 2 ? [GITHUB_HOST].concat(parts) : parts;
+  
+  if (parts.length < 2 || parts.length > 3 || ![host, owner, repo].every(part => /^[\w.-]+$/.test(part))) {
+    return null;
+  }
+  return { host: host.toLowerCase(), owner, repo };
+}